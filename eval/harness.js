@@ -0,0 +1,401 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    researchDomain,
+    buildResearchPrompt,
+    buildCompetitorDiscoveryPrompt,
+    parseJson,
+    getDataReviewCoverage,
+    hasDataReviewCoverageGaps
+} = require('../src/aiService');
+const { registerProvider, getProvider, getProviderModel } = require('../src/providerRegistry');
+const { buildRepairPrompt } = require('../src/researchSchema');
+
+/**
+ * Offline research evaluation.
+ *
+ * Fixtures (eval/fixtures/<domain>.json) hold raw provider answers per stage:
+ *   { domain, source: 'recorded'|'synthetic', recordedAt, structuralData,
+ *     responses: { primary, master, recovery: { provider, model, prompt: {id, version}, rawText, repair? } } }
+ *   repair: { rawText } — the answer to the one-shot repair prompt, when the stage needed one
+ * Replay runs researchDomain itself against a fixture-backed provider (FIXTURE_PROVIDER), so
+ * stage decisions, parse/repair, validation, merging and structural checks are production code.
+ * Answers recorded from OpenAI (the default primary) also go through callOpenAI, with the
+ * Responses API request answered from the fixture.
+ * The recorded structuralData stands in for the live scrape; nothing touches the network.
+ * Scores Data Review coverage and compares against eval/snapshots/<domain>.json.
+ *
+ * Status: the golden set (eval/golden-domains.json) is not recorded yet. The committed fixtures are
+ * hand-written `synthetic` cases (*.example.json) that exercise stage decisions, repair and
+ * verification, so they guard the pipeline's logic, not real provider output. Run
+ * `npm run eval:record` with provider keys, review the fixtures, then `npm run eval:update`.
+ */
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const SNAPSHOTS_DIR = path.join(__dirname, 'snapshots');
+const FIXTURE_PROVIDER = 'eval-fixture';
+
+// researchDomain call contexts (usagePurpose) -> fixture stage
+const STAGE_BY_CONTEXT = {
+    'research-domain-primary': 'primary',
+    'research-domain-master': 'master',
+    'competitor-discovery-recovery': 'recovery'
+};
+
+// Env that would route replay to live providers or change stage decisions.
+const REPLAY_ENV = {
+    AI_PROVIDER_PRIMARY: FIXTURE_PROVIDER,
+    AI_PROVIDER_FALLBACK_ORDER: FIXTURE_PROVIDER,
+    AI_CONSENSUS_MODE: undefined,
+    PROMPT_EXPERIMENT_VARIANTS: undefined,
+    BUDGET_PER_ONBOARDING_USD: undefined,
+    BUDGET_PER_DAY_USD: undefined,
+    BUDGET_PER_DOMAIN_USD: undefined
+};
+
+function fileNameFor(domain) {
+    return `${String(domain).toLowerCase().replace(/[^a-z0-9.-]/g, '_')}.json`;
+}
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function writeJson(filePath, value) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+function listFixtures() {
+    if (!fs.existsSync(FIXTURES_DIR)) return [];
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter((file) => file.endsWith('.json'))
+        .sort()
+        .map((file) => readJson(path.join(FIXTURES_DIR, file)));
+}
+
+// ============================================
+// REPLAY
+// ============================================
+
+// Fixture being replayed; the registered provider answers from it.
+let activeReplay = null;
+
+/**
+ * Provider call for FIXTURE_PROVIDER: the first call per stage gets the recorded answer,
+ * a second call (the repair round-trip) gets responses[stage].repair.
+ * Parses like a real provider, so malformed answers carry rawText into the repair path.
+ */
+async function callFixtureProvider(prompt, options = {}) {
+    if (!activeReplay) throw new Error('No fixture is being replayed');
+    const stage = STAGE_BY_CONTEXT[options.usagePurpose];
+    const response = stage ? activeReplay.fixture.responses?.[stage] : null;
+    if (!response || typeof response.rawText !== 'string') {
+        throw new Error(`Fixture has no ${stage || options.usagePurpose} response`);
+    }
+
+    const calls = activeReplay.calls[stage] = (activeReplay.calls[stage] || 0) + 1;
+    const rawText = calls === 1 ? response.rawText : response.repair?.rawText;
+    if (typeof rawText !== 'string') throw new Error(`Fixture has no repair response for ${stage}`);
+    if (response.provider === 'openai') {
+        return replayThroughOpenAI(rawText, prompt, { ...options, model: response.model || undefined });
+    }
+    options.onRawResponse?.(rawText);
+    return parseJson(rawText);
+}
+
+/**
+ * Call the registered openai provider with fetch answering as the Responses API would
+ * (a single output_text message), so its own parsing and error handling are exercised.
+ */
+async function replayThroughOpenAI(rawText, prompt, options) {
+    const originalFetch = globalThis.fetch;
+    const originalKey = process.env.OPENAI_API_KEY;
+    const body = {
+        id: 'resp_eval_fixture',
+        object: 'response',
+        status: 'completed',
+        model: options.model || null,
+        output: [{
+            id: 'msg_eval_fixture',
+            type: 'message',
+            role: 'assistant',
+            status: 'completed',
+            content: [{ type: 'output_text', text: rawText, annotations: [] }]
+        }],
+        usage: { input_tokens: 0, output_tokens: 0, total_tokens: 0 }
+    };
+    globalThis.fetch = async () => new Response(JSON.stringify(body), {
+        status: 200,
+        headers: { 'content-type': 'application/json' }
+    });
+    process.env.OPENAI_API_KEY = originalKey || 'eval-fixture';
+    try {
+        return await getProvider('openai').call(prompt, options);
+    } finally {
+        globalThis.fetch = originalFetch;
+        if (originalKey === undefined) delete process.env.OPENAI_API_KEY;
+        else process.env.OPENAI_API_KEY = originalKey;
+    }
+}
+
+registerProvider({
+    name: FIXTURE_PROVIDER,
+    envVars: [],
+    capabilities: { webSearch: false, jsonMode: false },
+    model: 'fixture',
+    fallbackPriority: Number.MAX_SAFE_INTEGER,
+    call: callFixtureProvider
+});
+
+async function withReplayEnv(fn) {
+    const saved = {};
+    for (const [key, value] of Object.entries(REPLAY_ENV)) {
+        saved[key] = process.env[key];
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+    try {
+        return await fn();
+    } finally {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    }
+}
+
+/**
+ * Run researchDomain for a fixture with every provider call answered from the fixture.
+ * stagesApplied lists the prompts that contributed to the result (researchDomain's own `prompts`).
+ * @returns {Promise<{ domain, stagesApplied: string[], providerErrors: object[], validation: object|null, data: object|null }>}
+ */
+async function replayFixture(fixture) {
+    const providerErrors = [];
+    const onEvent = (event) => {
+        if (event.type !== 'provider_failed') return;
+        providerErrors.push({ stage: STAGE_BY_CONTEXT[event.context] || event.context, error: event.error });
+    };
+
+    activeReplay = { fixture, calls: {} };
+    let result;
+    try {
+        result = await withReplayEnv(() => researchDomain(fixture.domain, {
+            consensus: false,
+            structuralData: fixture.structuralData || null,
+            onEvent
+        }));
+    } finally {
+        activeReplay = null;
+    }
+
+    const data = result?.data || null;
+    return {
+        domain: fixture.domain,
+        stagesApplied: (data?.prompts || []).map((prompt) => prompt.stage),
+        providerErrors,
+        validation: data?.validation || null,
+        data
+    };
+}
+
+/**
+ * Snapshot shape stored in eval/snapshots.
+ */
+function scoreReplay(replay) {
+    const coverage = getDataReviewCoverage(replay.data);
+    return {
+        domain: replay.domain,
+        stagesApplied: replay.stagesApplied,
+        providerErrors: replay.providerErrors,
+        validation: replay.validation,
+        coverage,
+        hasCoverageGaps: hasDataReviewCoverageGaps(replay.data),
+        competitors: (replay.data?.competitors || []).map((competitor) => competitor.domain),
+        data: replay.data
+    };
+}
+
+function sameJson(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compare a scored replay with its expected snapshot.
+ * @returns {{ passed: boolean, missingSnapshot: boolean, coverageRegressions: string[],
+ *   coverageImprovements: string[], changedFields: string[], stagesChanged: boolean }}
+ */
+function compareWithSnapshot(scored, expected) {
+    if (!expected) {
+        return { passed: false, missingSnapshot: true, coverageRegressions: [], coverageImprovements: [], changedFields: [], stagesChanged: false };
+    }
+
+    const coverageRegressions = [];
+    const coverageImprovements = [];
+    for (const [check, wasMet] of Object.entries(expected.coverage?.checks || {})) {
+        const isMet = Boolean(scored.coverage.checks[check]);
+        if (wasMet && !isMet) coverageRegressions.push(check);
+        if (!wasMet && isMet) coverageImprovements.push(check);
+    }
+
+    const expectedData = expected.data || {};
+    const actualData = scored.data || {};
+    const changedFields = [...new Set([...Object.keys(expectedData), ...Object.keys(actualData)])]
+        .filter((field) => !sameJson(expectedData[field], actualData[field]))
+        .sort();
+    const stagesChanged = !sameJson(expected.stagesApplied, scored.stagesApplied);
+
+    return {
+        passed: coverageRegressions.length === 0 && coverageImprovements.length === 0 && changedFields.length === 0 && !stagesChanged,
+        missingSnapshot: false,
+        coverageRegressions,
+        coverageImprovements,
+        changedFields,
+        stagesChanged
+    };
+}
+
+/**
+ * Replay every fixture and compare with snapshots.
+ * @param {object} [options]
+ * @param {boolean} [options.update] - Rewrite snapshots from the current output instead of failing
+ * @param {string[]} [options.domains] - Limit to these fixture domains
+ */
+async function runEval({ update = false, domains = null } = {}) {
+    const wanted = domains?.length ? new Set(domains.map((domain) => domain.toLowerCase())) : null;
+    const results = [];
+
+    for (const fixture of listFixtures()) {
+        if (wanted && !wanted.has(String(fixture.domain).toLowerCase())) continue;
+        const scored = scoreReplay(await replayFixture(fixture));
+        const snapshotPath = path.join(SNAPSHOTS_DIR, fileNameFor(fixture.domain));
+
+        if (update) {
+            writeJson(snapshotPath, scored);
+            results.push({ domain: fixture.domain, source: fixture.source || 'recorded', scored, comparison: { passed: true, updated: true } });
+            continue;
+        }
+
+        const expected = fs.existsSync(snapshotPath) ? readJson(snapshotPath) : null;
+        results.push({ domain: fixture.domain, source: fixture.source || 'recorded', scored, comparison: compareWithSnapshot(scored, expected) });
+    }
+
+    return {
+        passed: results.every((result) => result.comparison.passed),
+        results
+    };
+}
+
+// ============================================
+// RECORD (network + API keys)
+// ============================================
+
+/**
+ * Call a provider and keep its raw answer (even when it isn't valid JSON).
+ * @returns {Promise<string|null>} null when the call failed before any answer arrived
+ */
+async function callForRawText(provider, promptText) {
+    let rawText = null;
+    try {
+        await provider.call(promptText, {
+            model: getProviderModel(provider),
+            usagePurpose: 'eval_record',
+            onRawResponse: (text) => { rawText = text; }
+        });
+    } catch (error) {
+        if (rawText === null) throw error;
+    }
+    return rawText;
+}
+
+/**
+ * Record one stage from the first provider that answers. A malformed answer also records
+ * the same provider's answer to the repair prompt researchDomain would send.
+ */
+async function recordStage(providerNames, prompt) {
+    const { getProvider } = require('../src/providerRegistry');
+    let lastError = null;
+
+    for (const name of providerNames) {
+        const provider = getProvider(name);
+        let rawText;
+        try {
+            rawText = await callForRawText(provider, prompt.text);
+        } catch (error) {
+            lastError = error;
+            console.warn(`[Eval] ${name} failed: ${error.message}`);
+            continue;
+        }
+
+        const response = { provider: name, model: getProviderModel(provider), prompt: { id: prompt.id, version: prompt.version }, rawText };
+        let parsed = null;
+        try {
+            parsed = parseJson(rawText);
+        } catch (parseError) {
+            const repairPrompt = buildRepairPrompt(prompt.text, { parseError: parseError.message, previousOutput: rawText });
+            try {
+                const repairText = await callForRawText(provider, repairPrompt);
+                response.repair = { rawText: repairText };
+                parsed = safeParse(repairText);
+            } catch (repairError) {
+                console.warn(`[Eval] ${name} repair failed: ${repairError.message}`);
+            }
+        }
+        return { response, parsed };
+    }
+    throw lastError || new Error('No configured AI providers available');
+}
+
+function safeParse(rawText) {
+    try {
+        return parseJson(rawText);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Record every researchDomain stage for a golden domain and write eval/fixtures/<domain>.json.
+ * All stages are recorded so replay can decide which ones apply.
+ * @param {string} domain
+ * @param {object} [options]
+ * @param {string} [options.provider] - Record from this provider only (default: routing order)
+ */
+async function recordFixture(domain, { provider = null } = {}) {
+    const { getProviderOrder } = require('../src/providerRegistry');
+    const { scrapeStructuralData } = require('../src/structuralScraper');
+    const providerNames = provider ? [provider] : getProviderOrder().filter((name) => name !== FIXTURE_PROVIDER);
+
+    let structuralData = null;
+    try {
+        structuralData = await scrapeStructuralData(domain);
+    } catch (error) {
+        console.warn(`[Eval] Structural scrape failed for ${domain}: ${error.message}`);
+    }
+
+    const responses = {};
+    const primary = await recordStage(providerNames, buildResearchPrompt(domain, 'client', structuralData, null, 'lite'));
+    responses.primary = primary.response;
+
+    const master = await recordStage(providerNames, buildResearchPrompt(domain, 'client', structuralData, null, 'master'));
+    responses.master = master.response;
+
+    const base = master.parsed || primary.parsed;
+    const recovery = await recordStage(providerNames, buildCompetitorDiscoveryPrompt(domain, base?.niche || base?.industry, structuralData));
+    responses.recovery = recovery.response;
+
+    const fixture = { domain, source: 'recorded', recordedAt: new Date().toISOString(), structuralData, responses };
+    writeJson(path.join(FIXTURES_DIR, fileNameFor(domain)), fixture);
+    return fixture;
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    SNAPSHOTS_DIR,
+    listFixtures,
+    replayFixture,
+    scoreReplay,
+    compareWithSnapshot,
+    runEval,
+    recordFixture
+};
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const os = require('os');
+const path = require('path');
+
+// Replayed answers aren't real spend; keep them out of the usage ledger (its path is read when usageService loads).
+if (!process.argv.includes('--record')) process.env.USAGE_LEDGER_PATH = os.devNull;
+const { runEval, recordFixture } = require('./harness');
+
+/**
+ * Research quality eval.
+ *   node eval/run.js                      replay fixtures, compare with snapshots (exit 1 on drift)
+ *   node eval/run.js --update             rewrite snapshots from the current output
+ *   node eval/run.js --record [domains]   record fresh provider fixtures (defaults to golden-domains.json)
+ *   --provider <name>                     record from one provider only
+ * Extra arguments limit replay/record to those domains.
+ */
+
+function parseArgs(argv) {
+    const args = { record: false, update: false, provider: null, domains: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--record') args.record = true;
+        else if (arg === '--update') args.update = true;
+        else if (arg === '--provider') args.provider = argv[++i] || null;
+        else if (!arg.startsWith('--')) args.domains.push(arg);
+    }
+    return args;
+}
+
+function formatCoverage(scored) {
+    return `${scored.coverage.met}/${scored.coverage.total}${scored.hasCoverageGaps ? ' (gaps)' : ''}`;
+}
+
+async function record(args) {
+    const domains = args.domains.length > 0 ? args.domains : require(path.join(__dirname, 'golden-domains.json'));
+    let failed = 0;
+    for (const domain of domains) {
+        try {
+            console.log(`[Eval] Recording ${domain}...`);
+            await recordFixture(domain, { provider: args.provider });
+            console.log(`[Eval] Recorded ${domain}`);
+        } catch (error) {
+            failed += 1;
+            console.error(`[Eval] Recording failed for ${domain}: ${error.message}`);
+        }
+    }
+    console.log(`[Eval] Recorded ${domains.length - failed}/${domains.length} fixture(s). Run with --update to refresh snapshots.`);
+    return failed === 0;
+}
+
+async function replay(args) {
+    const { passed, results } = await runEval({ update: args.update, domains: args.domains });
+    if (results.length === 0) {
+        console.log('[Eval] No fixtures found in eval/fixtures');
+        return true;
+    }
+
+    const lines = ['', 'RESEARCH EVAL', '============='];
+    for (const { domain, source, scored, comparison } of results) {
+        const status = comparison.updated ? 'UPDATED' : (comparison.passed ? 'PASS' : 'FAIL');
+        lines.push(`${status.padEnd(8)} ${domain} [${source}] coverage ${formatCoverage(scored)} | stages ${scored.stagesApplied.join(' > ') || 'none'} | competitors ${scored.competitors.length}`);
+        if (scored.providerErrors.length > 0) {
+            lines.push(`         provider errors: ${scored.providerErrors.map((item) => `${item.stage}: ${item.error}`).join('; ')}`);
+        }
+        const verification = scored.data?.verification?.summary;
+        if (verification) {
+            lines.push(`         verification: ${verification.supported} supported, ${verification.unsupported} unsupported, ${verification.contradicted} contradicted`);
+        }
+        const pricingCheck = scored.data?.pricingCheck;
+        if (pricingCheck && !pricingCheck.agrees) {
+            const mismatches = pricingCheck.priceMismatches.map((item) => `${item.tier} ${item.ai} -> ${item.page}`);
+            lines.push(`         pricing vs /pricing: ${[...mismatches, ...pricingCheck.notOnPage.map((tier) => `${tier} not on page`)].join('; ') || 'tiers missed by AI'}`);
+        }
+        if (comparison.missingSnapshot) lines.push('         no snapshot — run `npm run eval:update`');
+        if (comparison.coverageRegressions?.length) lines.push(`         coverage lost: ${comparison.coverageRegressions.join(', ')}`);
+        if (comparison.coverageImprovements?.length) lines.push(`         coverage gained: ${comparison.coverageImprovements.join(', ')}`);
+        if (comparison.stagesChanged) lines.push('         stage decisions changed');
+        if (comparison.changedFields?.length) lines.push(`         changed fields: ${comparison.changedFields.join(', ')}`);
+    }
+
+    if (!results.some((result) => result.source === 'recorded')) {
+        lines.push('', 'Golden domains not recorded yet: only synthetic fixtures ran. Run `npm run eval:record` with provider keys to add them.');
+    }
+    const failedCount = results.filter((result) => !result.comparison.passed).length;
+    lines.push('', args.update
+        ? `${results.length} snapshot(s) updated`
+        : `${results.length - failedCount}/${results.length} passed${failedCount > 0 ? ' — review the diff, then `npm run eval:update` if the change is intended' : ''}`);
+    console.log(lines.join('\n'));
+    return passed;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const ok = args.record ? await record(args) : await replay(args);
+    process.exitCode = ok ? 0 : 1;
+}
+
+main().catch((error) => {
+    console.error('[Eval] Fatal:', error);
+    process.exitCode = 1;
+});
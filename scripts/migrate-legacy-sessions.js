@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const { listLegacyOnboardingSessions } = require('../src/airtableService');
+const { getSession, importLegacySession, getSessionStoreName } = require('../src/sessionRepository');
+
+/**
+ * One-time migration of form links issued before the Sessions store.
+ *   node scripts/migrate-legacy-sessions.js             copy every legacy `_session` into SESSION_STORE
+ *   node scripts/migrate-legacy-sessions.js --dry-run   list what would be copied
+ * Tokens already in the store are skipped, so re-running is harmless.
+ */
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const legacySessions = await listLegacyOnboardingSessions();
+    console.log(`[Migrate] Found ${legacySessions.length} legacy form session(s); target store: ${getSessionStoreName()}`);
+
+    let imported = 0;
+    let skipped = 0;
+    let failed = 0;
+    for (const legacy of legacySessions) {
+        const token = legacy.session.token;
+        try {
+            if (await getSession(token)) {
+                skipped += 1;
+                continue;
+            }
+            if (dryRun) {
+                console.log(`[Migrate] Would import ${token} for ${legacy.domain}`);
+            } else {
+                await importLegacySession(legacy);
+            }
+            imported += 1;
+        } catch (error) {
+            failed += 1;
+            console.error(`[Migrate] Failed to import ${token}: ${error.message}`);
+        }
+    }
+
+    console.log(`[Migrate] ${dryRun ? 'Would import' : 'Imported'} ${imported}, already stored ${skipped}, failed ${failed}`);
+    return failed === 0;
+}
+
+main().then((ok) => {
+    process.exitCode = ok ? 0 : 1;
+}).catch((error) => {
+    console.error('[Migrate] Fatal:', error.message);
+    process.exitCode = 1;
+});
@@ -1,151 +1,56 @@
 const { GoogleGenAI } = require("@google/genai");
 const OpenAI = require("openai");
 const { scrapeStructuralData } = require("./structuralScraper");
+const { callClaude, CLAUDE_MODEL } = require("./anthropicService");
+const { callLocalLLM } = require("./localLlmService");
+const {
+    extractGeminiSources,
+    extractOpenAISources,
+    extractPerplexitySources,
+    mergeSources,
+    attachSources
+} = require("./citationService");
+const { validateResearchPayload, dropInvalidFields, buildRepairPrompt } = require("./researchSchema");
+const {
+    recordUsage,
+    usageFromOpenAIResponse,
+    usageFromGeminiResponse,
+    usageFromChatCompletion,
+    getUsageContext
+} = require("./usageService");
+const { checkOptionalStage, assertBudgetAvailable } = require("./budgetService");
+const { registerProvider, getProvider, getProviderModel, getProviderOrder } = require("./providerRegistry");
+const { renderPrompt } = require("./promptRegistry");
+const { assignPromptVariant, recordExperimentRun } = require("./experimentService");
+const { SCORED_FIELDS, scoreFieldConfidence, getFieldConfidence, isFieldConfident } = require("./fieldConfidence");
+const { verifyResearchClaims } = require("./claimVerification");
+const { reconcilePricing } = require("./pricingExtractor");
 
 // Keep runtime predictable near ship: fewer env toggles, stable defaults.
 const ONBOARD_TIMEOUT_MS = 30000;
 const DEFAULT_CLIENT_PROMPT_MODE = "lite";
 const DEFAULT_COMPETITOR_PROMPT_MODE = "competitor_enriched";
+const MIN_CLIENT_COMPETITORS = 5;
 
 // ============================================
 // UNIVERSAL RESEARCH PROMPT (DRY)
-// One function for client AND competitor research
+// One template for client AND competitor research (src/prompts/research)
 // ============================================
 
-function buildJsonSchema(domain, mode, promptMode = 'master') {
-    if (promptMode === 'fastest' && mode === 'client') {
-        return `{
-  "name": "Official Company Name",
-  "domain": "${domain}",
-  "about": "1-2 sentence summary",
-  "niche": "Specific niche",
-  "usp": "Unique selling proposition",
-  "features": ["Key product features"],
-  "pricing": [{"tier": "Name", "price": "$", "period": "/month"}],
-  "competitors": [{"domain": "competitor.com", "name": "Name", "reason": "Same product + same buyer"}],
-  "confidence": "high | medium | low"
-}`;
-    }
-    // Unified schema for both client and competitor.
-    const base = `{
-  "name": "Official Company Name",
-  "domain": "${domain}",
-  "usp": "Unique selling proposition — what makes them different, or null",
-  "icp": "Ideal Customer Profile — specific buyer persona, company size, industry in one paragraph, or null",
-  "tone": "Brand voice description (e.g., 'Professional but approachable, targets non-technical SMB owners') or null",
-  "about": "Company description in 3-4 sentences covering what they do, for whom, and how, or null",
-  "industry": "Primary industry vertical or null",
-  "niche": "Ultra-specific product niche: [technology/approach] + [product type] + [target buyer]",
-  "productModel": "SaaS | API | Marketplace | Hardware | Other or null",
-  "yearFounded": "YYYY or null",
-  "headquarters": "City, State/Country or null",
-  "teamSize": "e.g., '11-50', '51-200' or null",
-  "activeHours": "Typical support/engagement hours in local timezone or null",
-  "funding": "e.g., '$15M Series A' or 'Bootstrapped' or null",
-  "features": ["Specific verified product features — be detailed, not generic"],
-  "integrations": ["Verified integrations with other tools/platforms"],
-  "techStack": ["Known/detected technologies (e.g., 'React', 'AWS', 'Stripe')"],
-  "pricing": [
-    {
-      "tier": "Plan name",
-      "price": "Dollar amount or 'Custom' or 'Free'",
-      "period": "/month or /year or /user/month",
-      "features": ["Key features included in this tier"]
-    }
-  ],
-  "founders": [
-    {
-      "name": "Full name",
-      "role": "Title",
-      "background": "Brief relevant background (prior companies, expertise)",
-      "linkedin": "URL or null"
-    }
-  ],
-  "compliance": ["SOC 2", "GDPR", "HIPAA", "CCPA", "ISO 27001"],
-  "reviews": [
-    {
-      "platform": "G2 | Capterra | Trustpilot | ProductHunt",
-      "score": "4.8",
-      "count": "150",
-      "summary": "One-sentence summary of recurring review themes or null"
-    }
-  ],
-  "caseStudies": [
-    {
-      "company": "Customer company name",
-      "result": "Specific quantified outcome (e.g., '40% reduction in call abandonment')",
-      "industry": "Customer's industry"
-    }
-  ],
-  "notableCustomers": ["Named customer logos found publicly"],
-  "social": {
-    "twitter": "handle or null",
-    "linkedin": "URL or null",
-    "github": "handle or null",
-    "youtube": "URL or null"
-  },
-  "support": "Support channels and hours as text (e.g., 'Live chat, email, phone — 24/7') or null",
-  "contact": [
-    {"label": "Sales Email", "value": "sales@domain.com", "type": "email"},
-    {"label": "Phone", "value": "+1-xxx-xxx-xxxx", "type": "phone"},
-    {"label": "Demo", "value": "https://domain.com/demo", "type": "url"}
-  ],
-  "limitations": ["Verified limitations or common complaints from real user feedback"],
-  "commonObjections": ["Sales objections a real buyer might raise"],
-  "blogTopics": ["5-10 recent blog themes that reveal their content/SEO strategy"],
-  "contentStrategy": "Brief description of content marketing approach or null",
-  "segments": ["Customer segments they serve"],
-  "contentThemes": ["Marketing/content themes"],
-  "partnerships": ["Known technology or business partnerships"],
-  "competitors": [
-    {
-      "domain": "competitor.com",
-      "name": "Competitor Name",
-      "reason": "Both sell [specific product] to [specific buyer persona]",
-      "differentiator": "How they differ (pricing, features, positioning)"
-    }
-  ],
-  "strengthVsTarget": "Where this company is STRONGER than the target company (be specific) or null",
-  "weaknessVsTarget": "Where this company is WEAKER than the target company (be specific) or null",
-  "pricingComparison": "Cheaper | Similar | More expensive | Unknown",
-  "marketPositionVsTarget": "Brief positioning comparison or null",
-  "confidence": "high | medium | low",
-  "confidenceNotes": "Explain what you could and couldn't verify",
-  "searchesPerformed": ["Actual search queries executed for auditability"],
-  "researchDate": "YYYY-MM-DD"
-}`;
-    return base;
-}
-
 /**
  * Specialized prompt for competitor discovery only
  * @param {string} domain - The client domain
  * @param {string} niche - The specific niche/industry
  * @param {object|null} structuralContext - Pre-scraped data
+ * @returns {{ id: string, version: number, text: string }}
  */
 function buildCompetitorDiscoveryPrompt(domain, niche, structuralContext) {
-    const context = structuralContext?.keywords ? `Keywords: ${structuralContext.keywords.slice(0, 10).join(', ')}` : '';
-
-    return `You are a competitive intelligence analyst. Find 5-8 direct competitors of ${domain}.
-
-${niche ? `NICHE: ${niche}` : ''}
-${context}
-
-Run these 3 searches:
-1. "${domain} competitors alternatives"
-2. "${domain} vs"
-3. "best ${niche || 'software'} tools"
-
-VALIDATION RULES:
-✓ INCLUDE only if: same product type + same buyer persona
-✗ EXCLUDE: Salesforce, HubSpot, broad platforms, parent categories
-
-Return ONLY valid JSON:
-{
-  "competitors": [
-    {"domain": "competitor.com", "name": "Name", "reason": "Brief reason"}
-  ]
-}`;
+    return renderPrompt('competitor-discovery', {
+        domain,
+        niche,
+        searchNiche: niche || 'software',
+        keywords: structuralContext?.keywords ? structuralContext.keywords.slice(0, 10) : null
+    });
 }
 
 /**
@@ -154,126 +59,54 @@ Return ONLY valid JSON:
  * @param {'client'|'competitor'} mode
  * @param {object|null} structuralContext - Pre-scraped data from structuralScraper
  * @param {object|null} clientContext - For competitor mode: {name, domain, niche, usp}
+ * @param {string} [promptMode] - fastest | lite | master | competitor_enriched | postcall_enrichment
+ * @param {string|null} [enrichmentContext] - Post-call snapshot/interview/blog summary
+ * @param {object} [options] - { version } to render a specific template version
+ * @returns {{ id: string, version: number, text: string }}
  */
-function buildResearchPrompt(domain, mode, structuralContext, clientContext, promptMode = 'lite', enrichmentContext = null) {
+function buildResearchPrompt(domain, mode, structuralContext, clientContext, promptMode = 'lite', enrichmentContext = null, options = {}) {
     const isClient = mode === 'client';
     const isCompetitorEnriched = mode === 'competitor' && promptMode === 'competitor_enriched';
     const isPostCallEnrichment = promptMode === 'postcall_enrichment';
-    
-    let prompt = `${isClient ? `You are a senior market research analyst. Your task is to produce a comprehensive intelligence report on https://${domain}.` : `You are a competitive intelligence analyst. Research https://${domain} exhaustively.`}
-
-You MUST use web search extensively. Do NOT rely on model memory. Every claim should be verified with live sources or the company website.
-If something cannot be verified, use null or [].
-Never fabricate data.
-
-${isPostCallEnrichment
-            ? 'You are in POSTCALL_ENRICHMENT mode: prioritize filling missing fields using interview + blog context, without changing already-solid existing values.'
-            : (isCompetitorEnriched
-                ? 'You are in COMPETITOR_ENRICHED mode: maximize verified profile coverage in one pass.'
-                : 'You are in CORE mode: prioritize accuracy and specificity.')}
-
-PHASE 1 — COMPANY FOUNDATION
-1) Search "${domain}", "${domain} about", "${domain} what is", "${domain} company overview"
-2) Identify:
-   - What they sell (product type, delivery model)
-   - Who they sell to (buyer persona, company size, industry)
-   - USP and positioning
-   - Tone of voice and brand style
-
-PHASE 2 — COMMERCIAL DETAILS
-3) Search "${domain} pricing", "${domain} plans", "how much does ${domain} cost"
-4) Search "${domain} integrations", "${domain} API", "${domain} tech stack"
-5) Search "${domain} features", "${domain} product tour", "${domain} changelog"
-
-PHASE 3 — CREDIBILITY & SOCIAL PROOF
-6) Search "${domain} reviews G2", "${domain} reviews Capterra", "${domain} Trustpilot"
-7) Search "${domain} case study", "${domain} customer stories", "${domain} testimonials"
-8) Search "${domain} SOC 2", "${domain} GDPR", "${domain} HIPAA", "${domain} security"
-
-PHASE 4 — PEOPLE & BACKSTORY
-9) Search "${domain} founders", "${domain} leadership team", "${domain} Crunchbase"
-10) Search "${domain} funding", "${domain} Series", "${domain} investors"
-11) Search "${domain} blog", "${domain} content"
-
-PHASE 5 — CONTACT & SOCIAL PRESENCE
-12) Search "${domain} Twitter", "${domain} LinkedIn", "${domain} GitHub"
-13) Search "${domain} support", "${domain} contact", "${domain} help center"
-
-PHASE 6 — COMPETITOR IDENTIFICATION (STRICT)
-Step A: Define SPECIFIC niche in 5-15 words: [technology/approach] + [product type] + [target buyer]
-Step B: Run:
-  - "${domain} competitors"
-  - "${domain} alternatives"
-  - "${domain} vs"
-  - "best [niche keywords] software"
-Step C: Include only if all:
-  - Same product type
-  - Same buyer persona/vertical
-  - Same market level (SMB vs enterprise)
-  - Real shortlist overlap
-Exclude broad platforms and guesses.
-${!isClient && clientContext ? `Also search "${domain} vs ${clientContext.domain}" + competitor pricing/reviews for stronger comparison fields.` : ''}
-
-PHASE 7 — LIMITATIONS & GAPS
-14) Search "${domain} complaints", "${domain} problems", "${domain} limitations", "${domain} reddit"
-15) Search "${domain} missing features", "${domain} feature request"
-
-${isCompetitorEnriched ? `DIRECTORY PASS:
-Collect verifiable URLs for social/content/developer/review/business/app profiles.` : ''}
-`;
-
-    // Add any pre-scraped context for efficiency
-    if (structuralContext && (structuralContext.headline || structuralContext.features?.length)) {
-        prompt += `ALREADY KNOWN (validate and enrich):
-`;
-        if (structuralContext.headline) prompt += `- ${structuralContext.headline}\n`;
-        if (structuralContext.features?.length) prompt += `- Features: ${structuralContext.features.slice(0, 5).join(', ')}\n`;
-        prompt += `\n`;
-    }
-
-    if (!isClient && clientContext) {
-        prompt += `COMPARISON CONTEXT:
-Target: ${clientContext.name} (${clientContext.domain})
-Niche: ${clientContext.niche || 'Not specified'}
-USP: ${clientContext.usp || 'Not specified'}
+    const hasComparisonTarget = !isClient && Boolean(clientContext);
 
-`;
-    }
-
-    if (isPostCallEnrichment && enrichmentContext) {
-        prompt += `POST-CALL ENRICHMENT CONTEXT:
-${enrichmentContext}
-
-POST-CALL RULES:
-- Fill missing/empty fields using interview and blog context when verifiable.
-- Prioritize filling: tone, activeHours, support/contact details, reviews/limitations confidence notes.
-- Keep already-strong existing fields consistent; do not degrade specificity.
-- If interview claims are not web-verifiable, mark lower confidence and mention in confidenceNotes.
-
-`;
-    }
-
-    prompt += `OUTPUT RULES:
-- Return ONLY valid JSON
-- No markdown wrapper
-- Include searchesPerformed with real query strings used
-- Set confidence honestly:
-  high = pricing/reviews/core data/competitors verified
-  medium = most verified with some gaps
-  low = sparse information
-
-Return ONLY valid JSON:
-
-${buildJsonSchema(domain, mode, promptMode)}`;
+    return renderPrompt('research', {
+        domain,
+        isClient,
+        isCompetitorEnriched,
+        isPostCallEnrichment,
+        isCoreMode: !isCompetitorEnriched && !isPostCallEnrichment,
+        fastestSchema: promptMode === 'fastest' && isClient,
+        hasKnownContext: Boolean(structuralContext && (structuralContext.headline || structuralContext.features?.length)),
+        knownHeadline: structuralContext?.headline || null,
+        knownFeatures: structuralContext?.features?.length ? structuralContext.features.slice(0, 5) : null,
+        hasComparisonTarget,
+        clientName: clientContext?.name,
+        clientDomain: clientContext?.domain,
+        clientNiche: clientContext?.niche || 'Not specified',
+        clientUsp: clientContext?.usp || 'Not specified',
+        enrichmentContext: isPostCallEnrichment ? enrichmentContext : null
+    }, options);
+}
 
-    return prompt;
+// Recorded on results so analysts can tell which template version produced them.
+function describePrompt(stage, prompt, promptMode = null) {
+    return { stage, promptMode, id: prompt.id, version: prompt.version };
 }
 
-function shouldEscalateToMaster(result) {
+const MASTER_CORE_FIELDS = ['about', 'niche', 'features'];
+
+/**
+ * Escalate when any core field is missing or scores below FIELD_CONFIDENCE_MIN_SCORE.
+ * @param {object} result - Provider output
+ * @param {object} [context] - { structuralData, agreement } for field scoring
+ */
+function shouldEscalateToMaster(result, context = {}) {
     if (!result) return true;
-    const lowConfidence = String(result.confidence || '').toLowerCase() === 'low';
-    const missingCore = !result.about || !result.niche || !Array.isArray(result.features) || result.features.length < 3;
-    return lowConfidence || missingCore;
+    const fieldConfidence = getFieldConfidence(result, context);
+    const weakCore = MASTER_CORE_FIELDS.some((field) => !isFieldConfident(fieldConfidence, field));
+    const thinFeatures = !Array.isArray(result.features) || result.features.length < 3;
+    return weakCore || thinFeatures;
 }
 
 function isEmptyValue(value) {
@@ -319,41 +152,48 @@ function mergeFillMissing(existing, patch) {
     return isEmptyValue(existing) ? patch : existing;
 }
 
-function hasDataReviewCoverageGaps(result) {
-    if (!result) return true;
-    const requiredChecks = [
-        Boolean(result.about),
-        Boolean(result.usp),
-        Boolean(result.icp),
-        Boolean(result.tone),
-        Array.isArray(result.features) && result.features.length >= 3,
-        Array.isArray(result.integrations) && result.integrations.length >= 1,
-        Array.isArray(result.pricing) && result.pricing.length >= 1,
-        Array.isArray(result.compliance) && result.compliance.length >= 1,
-        Array.isArray(result.reviews) && result.reviews.length >= 1,
-        (Array.isArray(result.caseStudies) && result.caseStudies.length >= 1) || (Array.isArray(result.notableCustomers) && result.notableCustomers.length >= 1),
-        !isEmptyValue(result.teamSize) || !isEmptyValue(result.funding),
-        !isEmptyValue(result.support) || !isEmptyValue(result.contact)
-    ];
-    const met = requiredChecks.filter(Boolean).length;
-    return met < 8;
-}
+// Data Review fields a result should cover; fewer than DATA_REVIEW_MIN_CHECKS met = coverage gap.
+// A check is met when its shape test passes and at least one of its fields is confident.
+const DATA_REVIEW_COVERAGE_CHECKS = {
+    about: { fields: ['about'], present: (result) => Boolean(result.about) },
+    usp: { fields: ['usp'], present: (result) => Boolean(result.usp) },
+    icp: { fields: ['icp'], present: (result) => Boolean(result.icp) },
+    tone: { fields: ['tone'], present: (result) => Boolean(result.tone) },
+    features: { fields: ['features'], present: (result) => Array.isArray(result.features) && result.features.length >= 3 },
+    integrations: { fields: ['integrations'], present: (result) => Array.isArray(result.integrations) && result.integrations.length >= 1 },
+    pricing: { fields: ['pricing'], present: (result) => Array.isArray(result.pricing) && result.pricing.length >= 1 },
+    compliance: { fields: ['compliance'], present: (result) => Array.isArray(result.compliance) && result.compliance.length >= 1 },
+    reviews: { fields: ['reviews'], present: (result) => Array.isArray(result.reviews) && result.reviews.length >= 1 },
+    socialProof: {
+        fields: ['caseStudies', 'notableCustomers'],
+        present: (result) => (Array.isArray(result.caseStudies) && result.caseStudies.length >= 1) || (Array.isArray(result.notableCustomers) && result.notableCustomers.length >= 1)
+    },
+    companySize: { fields: ['teamSize', 'funding'], present: (result) => !isEmptyValue(result.teamSize) || !isEmptyValue(result.funding) },
+    supportContact: { fields: ['support', 'contact'], present: (result) => !isEmptyValue(result.support) || !isEmptyValue(result.contact) }
+};
+const DATA_REVIEW_MIN_CHECKS = 8;
 
-function getProviderFunctionMap() {
-    return {
-        perplexity: callPerplexity,
-        openai: callOpenAI,
-        gemini: callGemini
-    };
+/**
+ * Per-check Data Review coverage of a normalized result.
+ * @param {object} result
+ * @param {object} [context] - { structuralData, agreement } when result has no fieldConfidence yet
+ * @returns {{ checks: Object<string, boolean>, met: number, total: number }}
+ */
+function getDataReviewCoverage(result, context = {}) {
+    const fieldConfidence = result ? getFieldConfidence(result, context) : {};
+    const checks = {};
+    for (const [name, check] of Object.entries(DATA_REVIEW_COVERAGE_CHECKS)) {
+        checks[name] = Boolean(result)
+            && Boolean(check.present(result))
+            && check.fields.some((field) => isFieldConfident(fieldConfidence, field));
+    }
+    const met = Object.values(checks).filter(Boolean).length;
+    return { checks, met, total: Object.keys(checks).length };
 }
 
-function getProviderOrder() {
-    const providerMap = getProviderFunctionMap();
-    const configuredPrimary = String(process.env.AI_PROVIDER_PRIMARY || 'openai').toLowerCase();
-    const primary = providerMap[configuredPrimary] ? configuredPrimary : 'openai';
-    const preferredFallbackOrder = ['openai', 'gemini', 'perplexity'];
-    const fallbacks = preferredFallbackOrder.filter(p => p !== primary && providerMap[p]);
-    return [primary, ...fallbacks];
+function hasDataReviewCoverageGaps(result, context = {}) {
+    if (!result) return true;
+    return getDataReviewCoverage(result, context).met < DATA_REVIEW_MIN_CHECKS;
 }
 
 function isTimeoutError(error) {
@@ -378,30 +218,119 @@ function isGeminiQuotaError(error) {
     );
 }
 
+function createEventEmitter(onEvent) {
+    return (event) => {
+        if (typeof onEvent !== "function") return;
+        try {
+            onEvent({ ...event, at: new Date().toISOString() });
+        } catch {
+            // Observers must never break a research run.
+        }
+    };
+}
+
+function isJsonParseError(error) {
+    return Boolean(error) && error.rawText !== undefined;
+}
+
+/**
+ * Call one provider and, when options.schema is set, validate the response.
+ * Invalid or malformed output gets one repair round-trip to the same provider;
+ * fields still invalid afterwards are dropped. The report is attached as `validation`:
+ *   { schema, provider, valid, errors, coerced, dropped, repairAttempted, repaired }
+ */
+async function callProviderWithValidation(providerName, prompt, context, options = {}) {
+    const provider = getProvider(providerName);
+    const callOptions = { ...options, model: getProviderModel(provider), usagePurpose: context };
+    const schemaName = options.schema || null;
+    if (!schemaName) return provider.call(prompt, callOptions);
+
+    const validation = {
+        schema: schemaName,
+        provider: providerName,
+        valid: true,
+        errors: [],
+        coerced: [],
+        dropped: [],
+        repairAttempted: false,
+        repaired: false
+    };
+
+    let raw;
+    try {
+        raw = await provider.call(prompt, callOptions);
+    } catch (error) {
+        if (!isJsonParseError(error)) throw error;
+        console.warn(`[AI] [${context}] ${providerName} returned malformed JSON; attempting one repair: ${error.message}`);
+        validation.repairAttempted = true;
+        validation.errors = [`Malformed JSON: ${error.message}`];
+        const repairPrompt = buildRepairPrompt(prompt, { parseError: error.message, previousOutput: error.rawText });
+        raw = await provider.call(repairPrompt, callOptions);
+        validation.repaired = true;
+    }
+
+    let checked = validateResearchPayload(raw, schemaName);
+    if (!checked.valid && !validation.repairAttempted) {
+        console.warn(`[AI] [${context}] ${providerName} failed schema validation (${checked.invalidFields.join(", ")}); attempting one repair`);
+        validation.repairAttempted = true;
+        validation.errors = checked.errors;
+        try {
+            const repairPrompt = buildRepairPrompt(prompt, { errors: checked.errors, previousOutput: JSON.stringify(raw) });
+            const repairedRaw = await provider.call(repairPrompt, callOptions);
+            const repairedCheck = validateResearchPayload(repairedRaw, schemaName);
+            if (repairedCheck.invalidFields.length < checked.invalidFields.length) {
+                repairedCheck.data.sources = mergeSources(raw.sources, repairedCheck.data.sources);
+                checked = repairedCheck;
+                validation.repaired = repairedCheck.valid;
+            }
+        } catch (repairError) {
+            console.warn(`[AI] [${context}] Repair round-trip failed for ${providerName}: ${repairError.message}`);
+        }
+    } else if (!checked.valid) {
+        validation.errors = [...validation.errors, ...checked.errors];
+        validation.repaired = false;
+    }
+
+    validation.valid = checked.valid;
+    validation.coerced = checked.coerced;
+    if (checked.invalidFields.includes("(root)") || checked.invalidFields.some((field) => !(field in (checked.data || {})))) {
+        throw new Error(`${providerName} response failed schema validation: ${checked.errors.slice(0, 3).join("; ")}`);
+    }
+
+    const { data, dropped } = dropInvalidFields(checked.data, checked.invalidFields, schemaName);
+    validation.dropped = dropped;
+    if (dropped.length > 0) {
+        console.warn(`[AI] [${context}] Dropped invalid fields from ${providerName}: ${dropped.join(", ")}`);
+    }
+    return { ...data, validation };
+}
+
 async function callPrimaryThenFallback(prompt, context = "research", options = {}) {
     const fallbackEnabled = true;
     const fastFailOnGeminiQuota = true;
-    const providerMap = getProviderFunctionMap();
     const forcedSkipProviders = Array.isArray(options.skipProviders)
         ? options.skipProviders.map((p) => String(p).toLowerCase())
         : [];
     const providerOrder = getProviderOrder().filter((provider) => !forcedSkipProviders.includes(provider));
     const providerOptions = options || {};
+    const emit = createEventEmitter(providerOptions.onEvent);
 
     if (providerOrder.length === 0) {
-        throw new Error("No providers available after skipProviders filter");
+        throw new Error("No configured AI providers available after skipProviders filter");
     }
 
     const primaryProvider = providerOrder[0];
-    const primaryFn = providerMap[primaryProvider];
+    const callProvider = (name) => callProviderWithValidation(name, prompt, context, providerOptions);
 
     try {
         console.log(`[AI] [${context}] Trying primary provider: ${primaryProvider}`);
-        const primaryResult = await primaryFn(prompt, providerOptions);
+        const primaryResult = await callProvider(primaryProvider);
         console.log(`[AI] [${context}] Primary provider succeeded: ${primaryProvider}`);
+        emit({ type: "provider_succeeded", context, provider: primaryProvider, fallback: false });
         return primaryResult;
     } catch (e) {
         console.error(`[AI] [${context}] Primary provider failed (${primaryProvider}): ${e.message}`);
+        emit({ type: "provider_failed", context, provider: primaryProvider, error: e.message });
         if (typeof providerOptions.onPrimaryFailure === "function") {
             try {
                 providerOptions.onPrimaryFailure({
@@ -421,20 +350,188 @@ async function callPrimaryThenFallback(prompt, context = "research", options = {
 
     for (let index = 1; index < providerOrder.length; index++) {
         const providerName = providerOrder[index];
-        const providerFn = providerMap[providerName];
         try {
             console.log(`[AI] [${context}] Trying fallback provider: ${providerName}`);
-            const fallbackResult = await providerFn(prompt, providerOptions);
+            emit({ type: "provider_fallback", context, from: providerOrder[index - 1], provider: providerName });
+            const fallbackResult = await callProvider(providerName);
             console.log(`[AI] [${context}] Fallback provider succeeded: ${providerName}`);
+            emit({ type: "provider_succeeded", context, provider: providerName, fallback: true });
             return fallbackResult;
         } catch (e) {
             console.error(`[AI] [${context}] Fallback provider failed (${providerName}): ${e.message}`);
+            emit({ type: "provider_failed", context, provider: providerName, error: e.message });
         }
     }
 
     throw new Error("All configured AI providers failed");
 }
 
+// ============================================
+// CONSENSUS MODE (opt-in)
+// Query several providers in parallel, merge, flag disagreements
+// ============================================
+
+const CONSENSUS_MAX_PROVIDERS = 3;
+const CONSENSUS_CONFLICT_FIELDS = ["pricing", "yearFounded", "headquarters", "funding"];
+
+function isConsensusModeEnabled(options = {}) {
+    if (options.consensus !== undefined && options.consensus !== null) return Boolean(options.consensus);
+    return String(process.env.AI_CONSENSUS_MODE || "").toLowerCase() === "true";
+}
+
+// Comparable form of a contested field so formatting differences don't count as disagreement
+function consensusComparisonKey(field, value) {
+    if (isEmptyValue(value)) return null;
+    if (field === "pricing") {
+        if (!Array.isArray(value)) return null;
+        return value
+            .map((tier) => {
+                const name = String(tier?.tier || tier?.name || "").trim().toLowerCase();
+                const price = String(tier?.price ?? "").replace(/\s+/g, "").toLowerCase();
+                return `${name}=${price}`;
+            })
+            .sort()
+            .join("|");
+    }
+    const text = String(value).toLowerCase();
+    if (field === "yearFounded") {
+        const year = text.match(/\b(1[89]\d{2}|20\d{2})\b/);
+        return year ? year[1] : text.trim();
+    }
+    if (field === "headquarters") {
+        return text.split(",")[0].replace(/[^a-z0-9]+/g, " ").trim();
+    }
+    return text.replace(/[^a-z0-9$.]+/g, " ").trim();
+}
+
+function mergeConsensusResults(providerResults) {
+    const merged = providerResults.reduce((acc, { result }) => mergeFillMissing(acc, result), {});
+    // Tier lists from different providers don't union cleanly; keep the highest-priority provider's tiers.
+    const pricingSource = providerResults.find(({ result }) => !isEmptyValue(result.pricing));
+    merged.pricing = pricingSource ? pricingSource.result.pricing : [];
+    merged.competitors = mergeAndDedupeCompetitors(...providerResults.map(({ result }) => result.competitors || []));
+    // Keep each provider's validation report rather than a field-by-field blend.
+    const reports = providerResults.map(({ result }) => result.validation).filter(Boolean);
+    if (reports.length > 0) {
+        merged.validation = { valid: reports.every((report) => report.valid), providers: reports };
+    }
+    return merged;
+}
+
+/**
+ * @returns {object} { field: { chosen, values: [{ provider, value }] } } for fields with 2+ distinct values
+ */
+function detectConsensusConflicts(providerResults, merged) {
+    const conflicts = {};
+    for (const field of CONSENSUS_CONFLICT_FIELDS) {
+        const values = providerResults
+            .map(({ provider, result }) => ({ provider, value: result[field], key: consensusComparisonKey(field, result[field]) }))
+            .filter((entry) => entry.key);
+        if (new Set(values.map((entry) => entry.key)).size > 1) {
+            conflicts[field] = {
+                chosen: merged[field] ?? null,
+                values: values.map(({ provider, value }) => ({ provider, value }))
+            };
+        }
+    }
+    return conflicts;
+}
+
+/**
+ * @returns {object} { field: { providers, agreed } } — how many providers returned each field,
+ *   agreed when 2+ did and the field isn't a detected conflict
+ */
+function computeConsensusAgreement(providerResults, conflicts) {
+    const agreement = {};
+    for (const field of SCORED_FIELDS) {
+        const providers = providerResults.filter(({ result }) => !isEmptyValue(result[field])).length;
+        agreement[field] = { providers, agreed: providers >= 2 && !conflicts[field] };
+    }
+    return agreement;
+}
+
+/**
+ * Call up to CONSENSUS_MAX_PROVIDERS providers in parallel and merge what succeeds.
+ * Earlier providers in the routing order win scalar fields; arrays are unioned.
+ * @returns {Promise<{result: object, conflicts: object, agreement: object, providers: Array<{provider, status, error}>}>}
+ */
+async function callProvidersForConsensus(prompt, context = "research", options = {}) {
+    const forcedSkipProviders = Array.isArray(options.skipProviders)
+        ? options.skipProviders.map((p) => String(p).toLowerCase())
+        : [];
+    const providerOrder = getProviderOrder()
+        .filter((provider) => !forcedSkipProviders.includes(provider))
+        .slice(0, CONSENSUS_MAX_PROVIDERS);
+    const emit = createEventEmitter(options.onEvent);
+
+    if (providerOrder.length === 0) {
+        throw new Error("No configured AI providers available after skipProviders filter");
+    }
+
+    console.log(`[AI] [${context}] Consensus across providers: ${providerOrder.join(", ")}`);
+    const settled = await Promise.allSettled(
+        providerOrder.map((name) => callProviderWithValidation(name, prompt, context, options))
+    );
+
+    const providerResults = [];
+    const providers = [];
+    settled.forEach((outcome, index) => {
+        const provider = providerOrder[index];
+        if (outcome.status === "fulfilled" && outcome.value) {
+            providerResults.push({ provider, result: normalizeResearchOutput(outcome.value) });
+            providers.push({ provider, status: "succeeded", error: null });
+            emit({ type: "provider_succeeded", context, provider, fallback: false });
+            return;
+        }
+        const error = outcome.reason || new Error("Empty provider response");
+        console.error(`[AI] [${context}] Consensus provider failed (${provider}): ${error.message}`);
+        providers.push({ provider, status: "failed", error: error.message });
+        emit({ type: "provider_failed", context, provider, error: error.message });
+        if (typeof options.onPrimaryFailure === "function") {
+            try {
+                options.onPrimaryFailure({ provider, error, context });
+            } catch {
+                // Keep provider routing resilient; ignore observer errors.
+            }
+        }
+    });
+
+    if (providerResults.length === 0) {
+        throw new Error("All consensus providers failed");
+    }
+
+    const result = mergeConsensusResults(providerResults);
+    const conflicts = detectConsensusConflicts(providerResults, result);
+    console.log(`[AI] [${context}] Consensus merged ${providerResults.length}/${providerOrder.length} providers | conflicts: ${Object.keys(conflicts).join(", ") || "none"}`);
+    return { result, conflicts, agreement: computeConsensusAgreement(providerResults, conflicts), providers };
+}
+
+// ============================================
+// STRUCTURAL CHECKS ON NORMALIZED OUTPUT
+// ============================================
+
+/**
+ * Check a normalized result against the structural scrape, in order:
+ * verification of the AI's claims, extracted /pricing tiers replacing AI pricing
+ * (AI tiers kept in pricingCheck), then per-field confidence on the final data.
+ * @param {object} normalized - normalizeResearchOutput output (mutated)
+ * @param {object} [context] - { structuralData, agreement }
+ */
+function applyStructuralChecks(normalized, { structuralData = null, agreement = null } = {}) {
+    if (!normalized) return normalized;
+    normalized.verification = verifyResearchClaims(normalized, structuralData);
+
+    const { pricing, pricingCheck } = reconcilePricing(normalized.pricing, structuralData?.pricing_tiers);
+    normalized.pricing = pricing;
+    normalized.pricingCheck = pricingCheck;
+    if (pricingCheck && !pricingCheck.agrees) {
+        console.log(`[AI] Pricing differs from /pricing for ${normalized.domain || 'result'}: ${pricingCheck.priceMismatches.length} price mismatch(es), ${pricingCheck.notOnPage.length} tier(s) not on page, ${pricingCheck.missingFromAi.length} missed`);
+    }
+
+    normalized.fieldConfidence = scoreFieldConfidence(normalized, { structuralData, agreement });
+    return normalized;
+}
+
 // ============================================
 // NORMALIZE AI OUTPUT FOR FRONTEND
 // ============================================
@@ -513,6 +610,9 @@ function normalizeResearchOutput(raw) {
         if (!Array.isArray(result[field])) result[field] = [];
     }
 
+    // sources: { field: [url] } from provider citations
+    result.sources = mergeSources(result.sources);
+
     // Ensure profile objects
     result.social = result.social || {};
     result.contentProfiles = result.contentProfiles || {};
@@ -560,7 +660,9 @@ function parseJson(text) {
     const match = cleaned.match(/\{[\s\S]*\}/);
     if (!match) {
         console.error("[AI] Failed to parse JSON. First 500 chars:", text.substring(0, 500));
-        throw new Error("No JSON found in response");
+        const error = new Error("No JSON found in response");
+        error.rawText = text;
+        throw error;
     }
     try {
         const parsed = JSON.parse(match[0]);
@@ -569,6 +671,7 @@ function parseJson(text) {
     } catch (e) {
         console.error("[AI] JSON parse error:", e.message);
         console.error("[AI] Attempted to parse:", match[0].substring(0, 500));
+        e.rawText = text; // lets callProviderWithValidation ask the provider to repair it
         throw e;
     }
 }
@@ -628,137 +731,256 @@ function mergeAndDedupeCompetitors(...lists) {
 
 /**
  * Research a client domain — provider primary + fallback
- * Returns { data, competitors }
+ * Returns { data, competitors, timings, consensus, budget, experiment }
+ * @param {string} domain
+ * @param {object} [options]
+ * @param {boolean} [options.consensus] - Query several providers in parallel and flag conflicts
+ *   (defaults to AI_CONSENSUS_MODE=true)
+ * @param {object|null} [options.structuralData] - Already-scraped structural data; skips the live
+ *   scrape when present (the eval harness replays recorded scrapes this way)
+ * @param {function} [options.isCancelled] - () => boolean; when true the optional master and
+ *   recovery stages are skipped (e.g. the SSE client disconnected)
+ * @param {function} [options.onEvent] - Observer for progress events:
+ *   { type: 'stage', stage: 'structural'|'primary'|'master'|'recovery', status: 'started'|'completed'|'failed'|'skipped', timings }
+ *   { type: 'provider_succeeded'|'provider_failed'|'provider_fallback', context, provider, ... }
+ *   { type: 'consensus', providers, conflicts }
+ *   { type: 'experiment', experiment, variant, promptMode, promptVersion }
+ *   { type: 'circuit_breaker', provider, reason }
+ *   { type: 'budget_guardrail', guardrail }
+ * Throws a 402 error (error.guardrail) when a spend cap is already reached.
+ * When PROMPT_EXPERIMENT_VARIANTS is set (and consensus is off) the prompt mode/version
+ * comes from the assigned experiment variant and the run outcome is recorded.
  */
-async function researchDomain(domain) {
+async function researchDomain(domain, options = {}) {
     console.log(`[AI] ═══ Starting research for: ${domain} ═══`);
-    const minCompetitors = 5;
-    const fastestMode = false;
+    await assertBudgetAvailable(domain, "research");
+    const startedAt = Date.now();
+    const minCompetitors = MIN_CLIENT_COMPETITORS;
+    const consensusMode = isConsensusModeEnabled(options);
+    // Consensus runs merge several providers, which would confound the prompt comparison.
+    const assignment = consensusMode ? null : assignPromptVariant(domain);
+    const fastestMode = assignment?.promptMode === "fastest";
     const onboardTimeoutMs = ONBOARD_TIMEOUT_MS;
     const timings = {};
+    const emit = createEventEmitter(options.onEvent);
+    const emitStage = (stage, status) => emit({ type: "stage", stage, status, timings: { ...timings } });
+    const guardrails = [];
+    const isStageWithinBudget = async (stage) => {
+        const { allowed, guardrail } = await checkOptionalStage(domain, stage);
+        if (!allowed) {
+            guardrails.push(guardrail);
+            emit({ type: "budget_guardrail", guardrail });
+        }
+        return allowed;
+    };
+    // Optional stages only improve the result; once the caller has gone there is no one to improve it for.
+    const shouldRunOptionalStage = async (stage) => {
+        if (typeof options.isCancelled === "function" && options.isCancelled()) {
+            console.log(`[AI] Skipping ${stage} stage for ${domain}: caller cancelled`);
+            return false;
+        }
+        return isStageWithinBudget(stage);
+    };
 
     // Phase 1: Free structural scrape
     let structuralData = null;
-    try {
-        const structuralStartedAt = Date.now();
-        structuralData = await scrapeStructuralData(domain);
-        timings.structuralMs = Date.now() - structuralStartedAt;
-    } catch (e) {
-        timings.structuralMs = timings.structuralMs || 0;
-        console.log(`[AI] Structural scrape failed (non-fatal): ${e.message}`);
+    if (options.structuralData !== undefined) {
+        structuralData = options.structuralData;
+        timings.structuralMs = 0;
+        emitStage("structural", "skipped");
+    } else {
+        emitStage("structural", "started");
+        try {
+            const structuralStartedAt = Date.now();
+            structuralData = await scrapeStructuralData(domain);
+            timings.structuralMs = Date.now() - structuralStartedAt;
+            emitStage("structural", "completed");
+        } catch (e) {
+            timings.structuralMs = timings.structuralMs || 0;
+            console.log(`[AI] Structural scrape failed (non-fatal): ${e.message}`);
+            emitStage("structural", "failed");
+        }
     }
 
-    const promptMode = fastestMode
-        ? 'fastest'
-        : DEFAULT_CLIENT_PROMPT_MODE;
-    const prompt = buildResearchPrompt(domain, 'client', structuralData, null, promptMode);
+    const promptMode = assignment?.promptMode || DEFAULT_CLIENT_PROMPT_MODE;
+    const promptOptions = { version: assignment?.promptVersion ?? null };
+    if (assignment) {
+        console.log(`[AI] Experiment ${assignment.experiment}: variant ${assignment.variant}`);
+        emit({ type: "experiment", ...assignment });
+    }
+    const prompt = buildResearchPrompt(domain, 'client', structuralData, null, promptMode, null, promptOptions);
+    const prompts = [describePrompt("primary", prompt, promptMode)];
 
     let result = null;
     let competitors = [];
+    let consensus = null;
     let skipOpenAIForThisRun = false;
+    const tripOpenAICircuitBreaker = (reason) => {
+        if (skipOpenAIForThisRun) return;
+        skipOpenAIForThisRun = true;
+        emit({ type: "circuit_breaker", provider: "openai", reason });
+    };
 
+    emitStage("primary", "started");
     try {
         const primaryStartedAt = Date.now();
-        result = await callPrimaryThenFallback(
-            prompt,
-            "research-domain-primary",
-            {
-                timeoutMs: onboardTimeoutMs,
-                onPrimaryFailure: ({ provider, error }) => {
-                    if (provider === "openai" && isTimeoutError(error)) {
-                        skipOpenAIForThisRun = true;
-                        console.warn("[AI] Circuit breaker: OpenAI timed out on primary stage; skipping OpenAI for remaining onboard stages.");
-                    }
+        const primaryOptions = {
+            timeoutMs: onboardTimeoutMs,
+            schema: "research",
+            domain,
+            structuralData,
+            onEvent: options.onEvent,
+            onPrimaryFailure: ({ provider, error }) => {
+                if (provider === "openai" && isTimeoutError(error)) {
+                    tripOpenAICircuitBreaker("timeout");
+                    console.warn("[AI] Circuit breaker: OpenAI timed out on primary stage; skipping OpenAI for remaining onboard stages.");
                 }
             }
-        );
+        };
+        if (consensusMode) {
+            consensus = await callProvidersForConsensus(prompt.text, "research-domain-consensus", primaryOptions);
+            result = consensus.result;
+            emit({ type: "consensus", providers: consensus.providers, conflicts: Object.keys(consensus.conflicts) });
+        } else {
+            result = await callPrimaryThenFallback(prompt.text, "research-domain-primary", primaryOptions);
+        }
         timings.primaryProviderMs = Date.now() - primaryStartedAt;
         console.log(`[AI] Primary research succeeded! Company: "${result.name}" | Niche: "${result.niche}"`);
         if (Array.isArray(result.competitors) && result.competitors.length > 0) {
             competitors = mergeAndDedupeCompetitors(result.competitors);
             console.log(`[AI] Primary research found ${competitors.length} competitors`);
         }
+        emitStage("primary", "completed");
     } catch (e) {
         timings.primaryProviderMs = timings.primaryProviderMs || 0;
         console.error(`[AI] All providers failed on primary pass: ${e.message}`);
+        emitStage("primary", "failed");
         if (isTimeoutError(e) || String(e.message || "").toLowerCase().includes("openai responses failed")) {
-            skipOpenAIForThisRun = true;
+            tripOpenAICircuitBreaker(isTimeoutError(e) ? "timeout" : "openai_responses_failed");
             console.warn("[AI] Circuit breaker: OpenAI disabled for remaining onboard stages in this request.");
         }
     }
 
-    // Optional master escalation when lite output is weak (disabled in fastest mode)
-    if (!fastestMode && result && promptMode === 'lite' && shouldEscalateToMaster(result)) {
+    // Optional master escalation when lite output is weak (disabled in fastest and consensus modes,
+    // since a single master result would replace the cross-checked merge)
+    const wantsMaster = !fastestMode && !consensusMode && result && promptMode === 'lite' && shouldEscalateToMaster(result, { structuralData });
+    if (wantsMaster && await shouldRunOptionalStage("master")) {
+        emitStage("master", "started");
         try {
             console.log("[AI] Escalating to master prompt due to low confidence or missing core fields...");
-            const masterPrompt = buildResearchPrompt(domain, 'client', structuralData, null, 'master');
+            const masterPrompt = buildResearchPrompt(domain, 'client', structuralData, null, 'master', null, promptOptions);
             const masterStartedAt = Date.now();
             const masterResult = await callPrimaryThenFallback(
-                masterPrompt,
+                masterPrompt.text,
                 "research-domain-master",
                 {
                     timeoutMs: onboardTimeoutMs,
-                    skipProviders: skipOpenAIForThisRun ? ["openai"] : []
+                    schema: "research",
+                    skipProviders: skipOpenAIForThisRun ? ["openai"] : [],
+                    domain,
+                    structuralData,
+                    onEvent: options.onEvent
                 }
             );
             timings.masterProviderMs = Date.now() - masterStartedAt;
             if (masterResult) {
                 result = masterResult;
+                prompts.push(describePrompt("master", masterPrompt, "master"));
                 if (Array.isArray(masterResult.competitors) && masterResult.competitors.length > 0) {
                     competitors = mergeAndDedupeCompetitors(competitors, masterResult.competitors);
                 }
             }
+            emitStage("master", "completed");
         } catch (e) {
             timings.masterProviderMs = timings.masterProviderMs || 0;
             console.error(`[AI] Master escalation failed (non-fatal): ${e.message}`);
+            emitStage("master", "failed");
         }
+    } else {
+        emitStage("master", "skipped");
     }
 
     // Step 3: If too few competitors were found, run a provider-aware recovery pass
-    if (result && competitors.length < minCompetitors) {
+    if (result && competitors.length < minCompetitors && await shouldRunOptionalStage("recovery")) {
         console.log(`[AI] Only ${competitors.length} competitors found, trying recovery to reach ${minCompetitors}...`);
+        emitStage("recovery", "started");
         try {
             const competitorPrompt = buildCompetitorDiscoveryPrompt(domain, result.niche || result.industry, structuralData);
             const recoveryStartedAt = Date.now();
             const discoveryResult = await callPrimaryThenFallback(
-                competitorPrompt,
+                competitorPrompt.text,
                 "competitor-discovery-recovery",
                 {
                     timeoutMs: onboardTimeoutMs,
-                    skipProviders: skipOpenAIForThisRun ? ["openai"] : []
+                    schema: "competitorDiscovery",
+                    skipProviders: skipOpenAIForThisRun ? ["openai"] : [],
+                    domain,
+                    structuralData,
+                    onEvent: options.onEvent
                 }
             );
             timings.recoveryProviderMs = Date.now() - recoveryStartedAt;
             if (discoveryResult && discoveryResult.competitors && discoveryResult.competitors.length > 0) {
                 competitors = mergeAndDedupeCompetitors(competitors, discoveryResult.competitors);
+                prompts.push(describePrompt("recovery", competitorPrompt));
                 console.log(`[AI] Competitor recovery merged to ${competitors.length} competitors`);
             }
+            emitStage("recovery", "completed");
         } catch (e) {
             timings.recoveryProviderMs = timings.recoveryProviderMs || 0;
             console.log(`[AI] Competitor discovery recovery failed (non-fatal): ${e.message}`);
+            emitStage("recovery", "failed");
         }
+    } else {
+        emitStage("recovery", "skipped");
     }
 
+    const recordExperimentOutcome = (outcome) => recordExperimentRun({
+        assignment,
+        domain,
+        requestId: getUsageContext()?.requestId || null,
+        latencyMs: Date.now() - startedAt,
+        escalatedToMaster: prompts.some((entry) => entry.stage === "master"),
+        costUsd: getUsageContext()?.totals?.costUsd ?? null,
+        ...outcome
+    });
+
     if (!result) {
         console.error("[AI] All providers failed");
+        recordExperimentOutcome({ status: "failed" });
         return null;
     }
 
     // Merge competitors back into result
     result.competitors = competitors;
+    if (consensus) {
+        result.conflicts = consensus.conflicts;
+    }
+    result.prompts = prompts;
 
-    const normalized = normalizeResearchOutput(result);
+    const normalized = applyStructuralChecks(normalizeResearchOutput(result), {
+        structuralData,
+        agreement: consensus?.agreement || null
+    });
 
     // Extract competitors for separate return
     const formattedCompetitors = mergeAndDedupeCompetitors(normalized.competitors);
 
     console.log(`[AI] ═══ Research complete: ${normalized.features?.length || 0} features, ${formattedCompetitors.length} competitors ═══`);
     console.log(`[AI] [research-domain] stage timings: ${JSON.stringify(timings)}`);
+    recordExperimentOutcome({
+        status: "completed",
+        hasCoverageGaps: hasDataReviewCoverageGaps(normalized),
+        confidence: normalized.confidence || null
+    });
 
     return {
         data: normalized,
         competitors: formattedCompetitors,
-        timings
+        timings,
+        consensus: consensus ? { providers: consensus.providers, conflictFields: Object.keys(consensus.conflicts) } : null,
+        budget: guardrails.length > 0 ? { guardrails } : null,
+        experiment: assignment ? { name: assignment.experiment, variant: assignment.variant } : null
     };
 }
 
@@ -768,6 +990,13 @@ async function researchDomain(domain) {
  */
 async function researchCompetitor(domain, clientContext) {
     console.log(`[AI] Researching competitor: ${domain}`);
+    await assertBudgetAvailable(domain, "competitor");
+    const guardrails = [];
+    const isStageWithinBudget = async (stage) => {
+        const { allowed, guardrail } = await checkOptionalStage(domain, stage);
+        if (!allowed) guardrails.push(guardrail);
+        return allowed;
+    };
 
     // Free structural scrape
     let structuralData = null;
@@ -781,21 +1010,24 @@ async function researchCompetitor(domain, clientContext) {
     const competitorResearchMode = DEFAULT_COMPETITOR_PROMPT_MODE;
     const activePromptMode = competitorResearchMode === 'default' ? defaultPromptMode : competitorResearchMode;
     const prompt = buildResearchPrompt(domain, 'competitor', structuralData, clientContext, activePromptMode);
+    const prompts = [];
 
     let result = null;
     try {
-        result = await callPrimaryThenFallback(prompt, "research-competitor-primary");
+        result = await callPrimaryThenFallback(prompt.text, "research-competitor-primary", { schema: "research", domain, structuralData });
+        prompts.push(describePrompt("primary", prompt, activePromptMode));
         console.log(`[AI] Competitor research succeeded: "${result.name}"`);
     } catch (e) {
         console.error(`[AI] Primary/fallback failed for competitor ${domain}: ${e.message}`);
     }
 
-    if (result && activePromptMode === 'lite' && shouldEscalateToMaster(result)) {
+    if (result && activePromptMode === 'lite' && shouldEscalateToMaster(result, { structuralData }) && await isStageWithinBudget("competitor-master")) {
         try {
             const masterPrompt = buildResearchPrompt(domain, 'competitor', structuralData, clientContext, 'master');
-            const masterResult = await callPrimaryThenFallback(masterPrompt, "research-competitor-master");
+            const masterResult = await callPrimaryThenFallback(masterPrompt.text, "research-competitor-master", { schema: "research", domain, structuralData });
             if (masterResult) {
                 result = masterResult;
+                prompts.push(describePrompt("master", masterPrompt, "master"));
             }
         } catch (e) {
             console.error(`[AI] Competitor master escalation failed (non-fatal): ${e.message}`);
@@ -804,10 +1036,10 @@ async function researchCompetitor(domain, clientContext) {
 
     if (!result) return null;
 
-    let normalized = normalizeResearchOutput(result);
+    let normalized = normalizeResearchOutput({ ...result, prompts });
 
     // Quality pass: if competitor data lacks key Data Review coverage, run one targeted backfill.
-    if (hasDataReviewCoverageGaps(normalized)) {
+    if (hasDataReviewCoverageGaps(normalized, { structuralData }) && await isStageWithinBudget("competitor-backfill")) {
         try {
             console.log(`[AI] Competitor coverage gap detected for ${domain}; running one backfill pass...`);
             const backfill = await enrichEntityPostCall({
@@ -827,6 +1059,11 @@ async function researchCompetitor(domain, clientContext) {
             console.error(`[AI] Competitor coverage backfill failed (non-fatal): ${e.message}`);
         }
     }
+    normalized = applyStructuralChecks(normalized, { structuralData });
+
+    if (guardrails.length > 0) {
+        normalized.budget = { guardrails };
+    }
 
     console.log(`[AI] Competitor done: ${domain} | strength: ${normalized.strengthVsTarget ? 'YES' : 'NO'}`);
     return normalized;
@@ -860,15 +1097,9 @@ function summarizeInterviewAndBlogs(elevenLabsData = {}, blogPosts = []) {
     };
 }
 
-async function enrichEntityPostCall({
-    mode,
-    domain,
-    currentData,
-    clientContext,
-    enrichmentSummary
-}) {
+function buildEnrichmentContext(currentData, enrichmentSummary) {
     const currentDataJson = JSON.stringify(currentData || {}, null, 2).slice(0, 12000);
-    const enrichmentContext = `CURRENT DATA SNAPSHOT (fill only missing/weak fields):
+    return `CURRENT DATA SNAPSHOT (fill only missing/weak fields):
 ${currentDataJson}
 
 INTERVIEW SUMMARY:
@@ -876,22 +1107,30 @@ ${enrichmentSummary.transcriptSummary}
 
 BLOG SIGNALS SUMMARY:
 ${enrichmentSummary.blogsSummary}`;
+}
 
+async function enrichEntityPostCall({
+    mode,
+    domain,
+    currentData,
+    clientContext,
+    enrichmentSummary
+}) {
     const prompt = buildResearchPrompt(
         domain,
         mode,
         null,
         clientContext || null,
         "postcall_enrichment",
-        enrichmentContext
+        buildEnrichmentContext(currentData, enrichmentSummary)
     );
 
     const result = await callPrimaryThenFallback(
-        prompt,
+        prompt.text,
         `postcall-enrichment-${mode}`,
-        { timeoutMs: 45000 }
+        { timeoutMs: 45000, schema: "enrichment", domain }
     );
-    return normalizeResearchOutput(result);
+    return normalizeResearchOutput({ ...result, prompts: [describePrompt("postcall_enrichment", prompt, "postcall_enrichment")] });
 }
 
 async function enrichDataReviewPostCall({
@@ -914,6 +1153,7 @@ async function enrichDataReviewPostCall({
         usp: clientData?.data?.usp || null
     };
 
+    await assertBudgetAvailable(clientDomain, "postcall-enrichment");
     const clientDataPatch = await enrichEntityPostCall({
         mode: "client",
         domain: clientDomain,
@@ -925,10 +1165,19 @@ async function enrichDataReviewPostCall({
     const competitorList = Array.isArray(competitors) ? competitors : [];
     const competitorPatchesByDomain = {};
     const failedCompetitors = [];
+    const skippedCompetitors = [];
+    const guardrails = [];
 
     for (const competitor of competitorList) {
         const domain = normalizeDomainKey(competitor?.domain);
         if (!domain) continue;
+        // Each competitor is one more provider call billed to the client; stop once a cap would be crossed.
+        const { allowed, guardrail } = await checkOptionalStage(clientDomain, "competitor-backfill");
+        if (!allowed) {
+            skippedCompetitors.push({ domain, guardrail: guardrail.name });
+            if (guardrails.length === 0) guardrails.push(guardrail);
+            continue;
+        }
         try {
             const currentComp = compData?.[domain]?.data || {};
             competitorPatchesByDomain[domain] = await enrichEntityPostCall({
@@ -947,7 +1196,9 @@ async function enrichDataReviewPostCall({
         clientDataPatch,
         competitorPatchesByDomain,
         contextSummary: enrichmentSummary,
-        failedCompetitors
+        failedCompetitors,
+        skippedCompetitors,
+        budget: guardrails.length > 0 ? { guardrails } : null
     };
 }
 
@@ -960,7 +1211,9 @@ async function callGemini(prompt, options = {}) {
     if (!apiKey) throw new Error("No GOOGLE_API_KEY");
     const timeoutMs = Math.max(5000, Number(options.timeoutMs || 60000));
 
-    console.log("[AI] Calling Gemini 2.5 Flash with Google Search...");
+    const model = options.model || "gemini-2.5-flash";
+
+    console.log(`[AI] Calling Gemini (${model}) with Google Search...`);
     const ai = new GoogleGenAI({
         apiKey,
         requestOptions: {
@@ -969,12 +1222,13 @@ async function callGemini(prompt, options = {}) {
     });
 
     const response = await ai.models.generateContent({
-        model: "gemini-2.5-flash",
+        model,
         contents: prompt,
         config: {
             tools: [{ googleSearch: {} }],
         },
     });
+    recordUsage({ provider: "gemini", model, purpose: options.usagePurpose, ...usageFromGeminiResponse(response) });
 
     const responseText = response.text ||
         response.candidates?.[0]?.content?.parts?.[0]?.text ||
@@ -990,7 +1244,8 @@ async function callGemini(prompt, options = {}) {
         console.log(`[AI] Grounded with ${metadata.groundingChunks.length} sources`);
     }
 
-    return parseJson(responseText);
+    options.onRawResponse?.(responseText);
+    return attachSources(parseJson(responseText), extractGeminiSources(responseText, metadata));
 }
 
 async function callPerplexity(prompt, options = {}) {
@@ -998,7 +1253,9 @@ async function callPerplexity(prompt, options = {}) {
     if (!apiKey) throw new Error("No PERPLEXITY_API_KEY");
     const timeoutMs = Math.max(5000, Number(options.timeoutMs || 60000));
 
-    console.log("[AI] Calling Perplexity Sonar Pro...");
+    const model = options.model || "sonar-pro";
+
+    console.log(`[AI] Calling Perplexity (${model})...`);
     const client = new OpenAI({
         apiKey,
         baseURL: "https://api.perplexity.ai",
@@ -1006,7 +1263,7 @@ async function callPerplexity(prompt, options = {}) {
     });
 
     const completion = await client.chat.completions.create({
-        model: "sonar-pro",
+        model,
         messages: [
             {
                 role: "system",
@@ -1019,17 +1276,22 @@ async function callPerplexity(prompt, options = {}) {
         ],
         temperature: 0.2
     });
+    // Every sonar request searches; older responses don't report num_search_queries.
+    recordUsage({ provider: "perplexity", model, purpose: options.usagePurpose, ...usageFromChatCompletion(completion, { searchCalls: 1 }) });
 
     const responseText = completion.choices?.[0]?.message?.content;
     if (!responseText) throw new Error("No text in Perplexity response");
-    return parseJson(responseText);
+    options.onRawResponse?.(responseText);
+    return attachSources(parseJson(responseText), extractPerplexitySources(responseText, completion.citations));
 }
 
 async function callOpenAI(prompt, options = {}) {
     if (!process.env.OPENAI_API_KEY) throw new Error("No OPENAI_API_KEY");
     const timeoutMs = Math.max(5000, Number(options.timeoutMs || 60000));
 
-    console.log("[AI] Calling OpenAI GPT-4o with web search...");
+    const model = options.model || "gpt-4o";
+
+    console.log(`[AI] Calling OpenAI (${model}) with web search...`);
     const openai = new OpenAI({
         apiKey: process.env.OPENAI_API_KEY,
         timeout: timeoutMs,
@@ -1039,18 +1301,73 @@ async function callOpenAI(prompt, options = {}) {
     try {
         // Try responses API with web_search first
         const response = await openai.responses.create({
-            model: "gpt-4o",
+            model,
             tools: [{ type: "web_search" }],
             input: prompt,
         });
+        recordUsage({ provider: "openai", model, purpose: options.usagePurpose, ...usageFromOpenAIResponse(response) });
+        options.onRawResponse?.(response.output_text);
 
-        return parseJson(response.output_text);
+        return attachSources(parseJson(response.output_text), extractOpenAISources(response));
     } catch (error) {
+        // Malformed JSON keeps its rawText so callProviderWithValidation can run the repair round-trip.
+        if (isJsonParseError(error)) throw error;
         console.warn(`[AI] Responses API failed (no non-web fallback): ${error.message}`);
         throw new Error(`OpenAI responses failed: ${error.message}`);
     }
 }
 
+// ============================================
+// PROVIDER REGISTRY
+// ============================================
+
+registerProvider({
+    name: "openai",
+    envVars: ["OPENAI_API_KEY"],
+    capabilities: { webSearch: true, jsonMode: false },
+    model: "gpt-4o",
+    fallbackPriority: 10,
+    call: callOpenAI
+});
+
+registerProvider({
+    name: "gemini",
+    envVars: ["GOOGLE_API_KEY"],
+    capabilities: { webSearch: true, jsonMode: false },
+    model: "gemini-2.5-flash",
+    fallbackPriority: 20,
+    call: callGemini
+});
+
+registerProvider({
+    name: "claude",
+    envVars: ["ANTHROPIC_API_KEY"],
+    capabilities: { webSearch: true, jsonMode: false },
+    model: CLAUDE_MODEL,
+    fallbackPriority: 30,
+    call: callClaude
+});
+
+registerProvider({
+    name: "perplexity",
+    envVars: ["PERPLEXITY_API_KEY"],
+    capabilities: { webSearch: true, jsonMode: false },
+    model: "sonar-pro",
+    fallbackPriority: 40,
+    call: callPerplexity
+});
+
+// OpenAI-compatible local server (Ollama, vLLM, llama.cpp). No web search:
+// callLocalLLM injects scraped site context using options.domain/structuralData.
+registerProvider({
+    name: "local",
+    envVars: ["LOCAL_LLM_BASE_URL", "LOCAL_LLM_MODEL"],
+    capabilities: { webSearch: false, jsonMode: true },
+    modelEnvVar: "LOCAL_LLM_MODEL",
+    fallbackPriority: 50,
+    call: callLocalLLM
+});
+
 // ============================================
 // EXPORTS
 // ============================================
@@ -1059,7 +1376,12 @@ module.exports = {
     researchDomain,
     researchCompetitor,
     enrichDataReviewPostCall,
+    isConsensusModeEnabled,
     buildResearchPrompt,     // exported for testing
     normalizeResearchOutput, // exported for testing
-    parseJson
+    parseJson,
+    // Used by the offline eval harness (eval/) to record and score fixtures
+    buildCompetitorDiscoveryPrompt,
+    getDataReviewCoverage,
+    hasDataReviewCoverageGaps
 };
@@ -2,16 +2,8 @@ const axios = require('axios');
 
 // Airtable API Configuration
 const AIRTABLE_API_URL = 'https://api.airtable.com/v0';
-const SESSION_KIND = 'onboarding_session';
-
-function safeJsonParse(value, fallback = null) {
-    if (!value || typeof value !== 'string') return fallback;
-    try {
-        return JSON.parse(value);
-    } catch {
-        return fallback;
-    }
-}
+// Marker on form sessions embedded in client records before the Sessions store existed
+const LEGACY_SESSION_KIND = 'onboarding_session';
 
 /**
  * Submit client onboarding data to Airtable
@@ -24,7 +16,6 @@ async function submitToAirtable(data, options = {}) {
     const { AIRTABLE_API_KEY, AIRTABLE_BASE_ID, AIRTABLE_TABLE_NAME } = process.env;
     const {
         existingRecordId = null,
-        sessionMeta = null,
         verifyWrite = true
     } = options;
 
@@ -73,11 +64,20 @@ async function submitToAirtable(data, options = {}) {
         notableCustomers: Array.isArray(clientScraped.notableCustomers) ? clientScraped.notableCustomers : [],
         searchesPerformed: Array.isArray(clientScraped.searchesPerformed) ? clientScraped.searchesPerformed : [],
         confidenceNotes: clientScraped.confidenceNotes || '',
-        researchDate: clientScraped.researchDate || ''
+        researchDate: clientScraped.researchDate || '',
+        // Field name -> URLs that backed it (provider citations)
+        sources: clientScraped.sources && typeof clientScraped.sources === 'object' ? clientScraped.sources : {},
+        // Prompt template id/version per research stage
+        prompts: Array.isArray(clientScraped.prompts) ? clientScraped.prompts : [],
+        // Field name -> { score, level, status, signals }
+        fieldConfidence: clientScraped.fieldConfidence && typeof clientScraped.fieldConfidence === 'object' ? clientScraped.fieldConfidence : {},
+        // Claims checked against the structural scrape: { supported, unsupported, contradicted }
+        verification: clientScraped.verification || null,
+        // Extracted /pricing tiers vs AI-reported tiers (AI tiers kept in aiPricing)
+        pricingCheck: clientScraped.pricingCheck || null,
+        // Client form edits vs the research snapshot: { summary, changes }
+        corrections: data.corrections || null
     };
-    if (sessionMeta && typeof sessionMeta === 'object') {
-        clientInfo._session = sessionMeta;
-    }
 
     // ============================================
     // COMPETITORS SCRAPED DATA (full detail for each)
@@ -253,82 +253,6 @@ async function submitToAirtable(data, options = {}) {
     }
 }
 
-async function createOnboardingSession({
-    token,
-    domain,
-    clientName,
-    formPayload,
-    ttlDays = 3
-}) {
-    const now = new Date();
-    const expiresAt = new Date(now.getTime() + (Math.max(1, Number(ttlDays) || 3) * 24 * 60 * 60 * 1000));
-    const sessionMeta = {
-        kind: SESSION_KIND,
-        token,
-        status: 'PENDING',
-        createdAt: now.toISOString(),
-        expiresAt: expiresAt.toISOString(),
-        formPayload: formPayload || null
-    };
-
-    const result = await submitToAirtable({
-        clientData: {
-            domain,
-            name: clientName || domain,
-            data: {
-                about: 'Onboarding session created. Waiting for client completion.'
-            }
-        },
-        competitors: formPayload?.competitors || [],
-        likedPosts: [],
-        customUrls: [],
-        compData: formPayload?.competitorDetails || {},
-        sitemapData: {},
-        elevenLabsData: {}
-    }, {
-        sessionMeta,
-        verifyWrite: true
-    });
-
-    return {
-        ...result,
-        sessionMeta
-    };
-}
-
-async function getOnboardingSessionByToken(token) {
-    const { AIRTABLE_API_KEY, AIRTABLE_BASE_ID, AIRTABLE_TABLE_NAME } = process.env;
-    if (!AIRTABLE_API_KEY || !AIRTABLE_BASE_ID || !AIRTABLE_TABLE_NAME) {
-        throw new Error('Airtable configuration incomplete');
-    }
-
-    const baseUrl = `${AIRTABLE_API_URL}/${AIRTABLE_BASE_ID}/${encodeURIComponent(AIRTABLE_TABLE_NAME)}`;
-    const filterByFormula = `FIND("${String(token).replace(/"/g, '\\"')}", {Client Full Data})`;
-
-    const response = await axios.get(baseUrl, {
-        headers: { 'Authorization': `Bearer ${AIRTABLE_API_KEY}` },
-        params: { maxRecords: 10, filterByFormula }
-    });
-
-    for (const record of response?.data?.records || []) {
-        const fields = record.fields || {};
-        const fullData = safeJsonParse(fields['Client Full Data'], {});
-        const session = fullData?._session;
-        if (!session || session.kind !== SESSION_KIND || session.token !== token) continue;
-
-        return {
-            recordId: record.id,
-            domain: fields['Client Domain'] || fullData?.domain || '',
-            clientName: fields['Client Name'] || fullData?.name || '',
-            session,
-            formPayload: session.formPayload || null,
-            fullData
-        };
-    }
-
-    return null;
-}
-
 /**
  * Get all clients from Airtable
  * @returns {Array} - List of client records
@@ -363,9 +287,54 @@ async function getClientsFromAirtable() {
     }
 }
 
+/**
+ * Read-only scan for form sessions stored the old way, as `_session` inside a client record's
+ * Client Full Data. Only links issued before the Sessions store exist there; the one-time
+ * scripts/migrate-legacy-sessions.js copies them into the store.
+ * @returns {Promise<Array<{recordId, domain, clientName, session, formPayload}>>}
+ */
+async function listLegacyOnboardingSessions() {
+    const { AIRTABLE_API_KEY, AIRTABLE_BASE_ID, AIRTABLE_TABLE_NAME } = process.env;
+    if (!AIRTABLE_API_KEY || !AIRTABLE_BASE_ID || !AIRTABLE_TABLE_NAME) {
+        throw new Error('Airtable configuration incomplete');
+    }
+
+    const baseUrl = `${AIRTABLE_API_URL}/${AIRTABLE_BASE_ID}/${encodeURIComponent(AIRTABLE_TABLE_NAME)}`;
+    const filterByFormula = `FIND("${LEGACY_SESSION_KIND}", {Client Full Data})`;
+    const sessions = [];
+    let offset;
+    do {
+        const response = await axios.get(baseUrl, {
+            headers: { 'Authorization': `Bearer ${AIRTABLE_API_KEY}` },
+            params: { pageSize: 100, filterByFormula, ...(offset ? { offset } : {}) }
+        });
+
+        for (const record of response?.data?.records || []) {
+            const fields = record.fields || {};
+            let fullData = {};
+            try {
+                fullData = JSON.parse(fields['Client Full Data'] || '{}');
+            } catch {
+                continue;
+            }
+            const session = fullData?._session;
+            if (!session || session.kind !== LEGACY_SESSION_KIND || !session.token) continue;
+
+            sessions.push({
+                recordId: record.id,
+                domain: fields['Client Domain'] || fullData?.domain || '',
+                clientName: fields['Client Name'] || fullData?.name || '',
+                session,
+                formPayload: session.formPayload || null
+            });
+        }
+        offset = response?.data?.offset;
+    } while (offset);
+    return sessions;
+}
+
 module.exports = {
     submitToAirtable,
     getClientsFromAirtable,
-    createOnboardingSession,
-    getOnboardingSessionByToken
+    listLegacyOnboardingSessions
 };
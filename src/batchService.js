@@ -0,0 +1,193 @@
+const { mapWithConcurrency } = require('./blogService');
+
+/**
+ * Bulk onboarding: research a list of domains with bounded concurrency
+ * and collect a per-domain success/failure report (JSON or CSV).
+ */
+
+const BATCH_MAX_DOMAINS = 100;
+const BATCH_DEFAULT_CONCURRENCY = 2;
+const BATCH_MAX_CONCURRENCY = 5;
+const DOMAIN_COLUMN_NAMES = ['domain', 'website', 'url', 'site', 'company domain', 'client domain'];
+
+function parseCsvLine(line) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',' || char === ';' || char === '\t') {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+}
+
+/**
+ * Extract domains from CSV text. Uses a "domain"/"website"/"url" column
+ * when a header row exists, otherwise the first column.
+ */
+function parseDomainsFromCsv(csvText) {
+    const rows = String(csvText || '')
+        .replace(/^\uFEFF/, '')
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .map(parseCsvLine);
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map((cell) => cell.toLowerCase());
+    const headerIndex = header.findIndex((cell) => DOMAIN_COLUMN_NAMES.includes(cell));
+    const columnIndex = headerIndex >= 0 ? headerIndex : 0;
+    const dataRows = headerIndex >= 0 ? rows.slice(1) : rows;
+
+    return dataRows.map((row) => row[columnIndex]).filter(Boolean);
+}
+
+/**
+ * Normalize and dedupe a raw domain list.
+ * @param {string[]} rawDomains
+ * @param {function} normalizeDomain - e.g. normalizeDomainForCache
+ * @returns {{ domains: string[], invalid: string[] }}
+ */
+function prepareDomainList(rawDomains, normalizeDomain) {
+    const seen = new Set();
+    const domains = [];
+    const invalid = [];
+    for (const raw of rawDomains || []) {
+        const normalized = normalizeDomain(String(raw || '').trim());
+        if (!normalized || !normalized.includes('.')) {
+            invalid.push(String(raw));
+            continue;
+        }
+        if (seen.has(normalized)) continue;
+        seen.add(normalized);
+        domains.push(normalized);
+    }
+    return { domains, invalid };
+}
+
+function clampConcurrency(value) {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 1) return BATCH_DEFAULT_CONCURRENCY;
+    return Math.min(BATCH_MAX_CONCURRENCY, Math.floor(parsed));
+}
+
+/**
+ * Run research for every domain and collect results.
+ * @param {string[]} domains
+ * @param {object} options
+ * @param {number} options.concurrency
+ * @param {function} options.researchOne - async (domain) => onboard response
+ * @param {function} [options.createFormLinkFor] - async (domain, response) => { token }
+ * @param {function} [options.onItemDone] - (item, doneCount) => void
+ */
+async function runBatch(domains, { concurrency, researchOne, createFormLinkFor = null, onItemDone = null }) {
+    let doneCount = 0;
+    return mapWithConcurrency(domains, clampConcurrency(concurrency), async (domain) => {
+        const startedAt = Date.now();
+        const item = {
+            domain,
+            status: 'failed',
+            name: null,
+            result: null,
+            formToken: null,
+            formError: null,
+            error: null,
+            durationMs: 0
+        };
+
+        try {
+            const response = await researchOne(domain);
+            item.status = 'success';
+            item.name = response?.name || null;
+            item.result = response;
+
+            if (createFormLinkFor) {
+                try {
+                    const { token } = await createFormLinkFor(domain, response);
+                    item.formToken = token;
+                } catch (error) {
+                    item.formError = error.message;
+                    console.warn(`[Batch] Form link creation failed for ${domain}: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            item.error = error.message;
+            console.error(`[Batch] Research failed for ${domain}: ${error.message}`);
+        }
+
+        item.durationMs = Date.now() - startedAt;
+        doneCount += 1;
+        if (typeof onItemDone === 'function') {
+            try {
+                onItemDone(item, doneCount);
+            } catch {
+                // Progress observers are best-effort.
+            }
+        }
+        return item;
+    });
+}
+
+function summarizeBatch(items) {
+    const succeeded = items.filter((item) => item.status === 'success').length;
+    return {
+        total: items.length,
+        succeeded,
+        failed: items.length - succeeded,
+        formLinksCreated: items.filter((item) => item.formToken).length
+    };
+}
+
+function escapeCsvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildBatchReportCsv(items) {
+    const columns = ['domain', 'status', 'name', 'niche', 'competitors', 'confidence', 'formToken', 'formError', 'error', 'durationMs'];
+    const lines = [columns.join(',')];
+    for (const item of items) {
+        const data = item.result?.data || {};
+        const row = {
+            domain: item.domain,
+            status: item.status,
+            name: item.name,
+            niche: data.niche,
+            competitors: Array.isArray(item.result?.competitors) ? item.result.competitors.map((c) => c.domain).join(' | ') : '',
+            confidence: data.confidence,
+            formToken: item.formToken,
+            formError: item.formError,
+            error: item.error,
+            durationMs: item.durationMs
+        };
+        lines.push(columns.map((column) => escapeCsvCell(row[column])).join(','));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    BATCH_MAX_DOMAINS,
+    parseDomainsFromCsv,
+    prepareDomainList,
+    clampConcurrency,
+    runBatch,
+    summarizeBatch,
+    buildBatchReportCsv
+};
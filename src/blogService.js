@@ -1,7 +1,8 @@
 const OpenAI = require("openai");
 const { GoogleGenAI } = require("@google/genai");
-const axios = require("axios");
 const cheerio = require("cheerio");
+const { recordUsage, usageFromOpenAIResponse, usageFromGeminiResponse } = require("./usageService");
+const { renderPrompt } = require("./promptRegistry");
 
 // Production defaults for consistent quality and simpler config
 const BLOG_MAX_AGE_MONTHS = 12;
@@ -11,13 +12,9 @@ const BLOG_VERIFY_LIMIT = 8;
 const BLOG_SCRAPE_TIMEOUT_MS = 6500;
 const BLOG_SCRAPE_CONCURRENCY = 5;
 
-// Puppeteer for JS-rendered pages (optional, loaded dynamically)
-let puppeteer = null;
-try {
-    puppeteer = require("puppeteer");
-} catch {
-    console.log("[Blog] Puppeteer not available, using Cheerio only");
-}
+// JS-rendered pages go through the shared headless browser (no-op when Puppeteer is missing)
+const { isBrowserPoolAvailable, withPage, withRenderFallback } = require("./browserPool");
+const { politeGet, politeHead } = require("./fetchService");
 
 // ============================================
 // AI-POWERED EDITORIAL CONTENT DISCOVERY + FULL CONTENT SCRAPING
@@ -434,14 +431,11 @@ async function scrapeFullBlogContent(url, timeoutMs = 8000) {
             return null;
         }
         
-        const { data } = await axios.get(url, {
-            timeout: timeoutMs,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-            }
-        });
+        const { data } = await politeGet(url, { timeoutMs, retries: 1 });
 
-        const $ = cheerio.load(data);
+        // Client-rendered blogs ship an empty shell; render those in the shared browser
+        const { html } = await withRenderFallback(url, typeof data === 'string' ? data : '', { timeoutMs: Math.max(timeoutMs, 10000) });
+        const $ = cheerio.load(html);
 
         // Remove unwanted elements
         $('script, style, nav, header, footer, aside, .sidebar, .comments, .related-posts, .advertisement, .ad, .social-share, .cookie-banner, .popup, .modal').remove();
@@ -567,50 +561,9 @@ async function findBlogsWithOpenAI(domain, limit = 10) {
         const response = await openai.responses.create({
             model: "gpt-4o",
             tools: [{ type: "web_search" }],
-            input: `Find ${limit} REAL editorial articles, blog posts, or guides published on ${domain}.
-
-IMPORTANT SEARCH STRATEGY:
-Use these Google search operators to find articles:
-- site:${domain} "how to"
-- site:${domain} "explained"  
-- site:${domain} "guide"
-- site:${domain} "why"
-- site:${domain} "what is"
-- site:${domain} "vs" OR "versus"
-- site:${domain} "best"
-- site:${domain} "tips"
-
-WHAT TO LOOK FOR:
-- Articles with LONG, DESCRIPTIVE SLUGS (e.g., "/how-to-automate-leasing-communications")
-- Editorial content that teaches, explains, or compares
-- Thought leadership pieces with actionable depth
-- Prefer content published within the last ${maxAgeMonths} months when available
-- Favor canonical article links over tracking/redirect URLs
-- NOT product pages, pricing, demos, landing pages, press snippets, short announcements, or changelog entries
-- URLs WITHOUT: /product, /pricing, /demo, /features, /landing, /buy
-
-These might be "orphaned" articles not linked from main navigation - that's OK.
-
-For each REAL article found:
-- The exact full URL
-- The article title
-- A brief description of what it's about
-- Optional date if available
-
-Respond with JSON:
-{
-    "blogPosts": [
-        {
-            "url": "https://${domain}/example-article-slug",
-            "title": "Article Title",
-            "description": "Brief description",
-            "date": "ISO or human readable date if available"
-        }
-    ]
-}
-
-If no articles found, return: {"blogPosts": []}`
+            input: renderPrompt("blog-discovery-openai", { domain, limit, maxAgeMonths }).text
         });
+        recordUsage({ provider: "openai", model: "gpt-4o", purpose: "blog_discovery", ...usageFromOpenAIResponse(response) });
 
         const content = response.output_text || "";
         console.log(`[Blog] OpenAI response received`);
@@ -645,41 +598,10 @@ async function findBlogsWithGemini(domain, limit = 10) {
         const ai = new GoogleGenAI({ apiKey: process.env.GOOGLE_API_KEY });
         const response = await ai.models.generateContent({
             model: "gemini-2.5-flash",
-            contents: `Find ${limit} REAL editorial articles, blog posts, or guides published on ${domain}.
-
-IMPORTANT SEARCH STRATEGY:
-Use these web searches:
-- site:${domain} "how to"
-- site:${domain} "explained"
-- site:${domain} "guide"
-- site:${domain} "why"
-- site:${domain} "what is"
-- site:${domain} "vs" OR "versus"
-- site:${domain} "best"
-- site:${domain} "tips"
-
-WHAT TO LOOK FOR:
-- Long, descriptive editorial slugs
-- Articles/guides with actionable depth
-- Prefer content published within the last ${maxAgeMonths} months when available
-- Favor canonical article links
-- Exclude product pages, pricing, demos, changelog, and landing pages
-
-Return only valid JSON:
-{
-  "blogPosts": [
-    {
-      "url": "https://${domain}/example-article-slug",
-      "title": "Article Title",
-      "description": "Brief description",
-      "date": "ISO or human readable date if available"
-    }
-  ]
-}
-
-If no articles found, return {"blogPosts": []}.`,
+            contents: renderPrompt("blog-discovery-gemini", { domain, limit, maxAgeMonths }).text,
             config: { tools: [{ googleSearch: {} }] }
         });
+        recordUsage({ provider: "gemini", model: "gemini-2.5-flash", purpose: "blog_discovery", ...usageFromGeminiResponse(response) });
 
         const responseText = response.text ||
             response.candidates?.[0]?.content?.parts?.[0]?.text ||
@@ -717,12 +639,8 @@ async function findBlogsFromScraping(domain, limit = 10) {
     for (const path of blogPaths) {
         try {
             console.log(`[Blog] Trying ${domain}${path}...`);
-            const { data } = await axios.get(`https://${domain}${path}`, {
-                timeout: 10000,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-                }
-            });
+            // Listing probes mostly 404; no retries, only backoff on rate limits
+            const { data } = await politeGet(`https://${domain}${path}`, { timeoutMs: 10000, retries: 0 });
 
             const $ = cheerio.load(data);
 
@@ -792,10 +710,7 @@ async function findBlogsFromScraping(domain, limit = 10) {
 
         for (const path of sitemapPaths) {
             try {
-                const { data } = await axios.get(`https://${domain}${path}`, {
-                    timeout: 8000,
-                    headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
-                });
+                const { data } = await politeGet(`https://${domain}${path}`, { timeoutMs: 8000, retries: 0 });
 
                 // Check if this is a sitemap index (contains other sitemaps)
                 const sitemapRefs = data.match(/<loc>(https?:\/\/[^<]+sitemap[^<]*\.xml)<\/loc>/gi) || [];
@@ -809,7 +724,7 @@ async function findBlogsFromScraping(domain, limit = 10) {
                     
                     try {
                         console.log(`[Blog] Fetching child sitemap: ${childUrl}`);
-                        const childRes = await axios.get(childUrl, { timeout: 8000 });
+                        const childRes = await politeGet(childUrl, { timeoutMs: 8000 });
                         const childMatches = childRes.data.match(/<loc>(https?:\/\/[^<]+)<\/loc>/gi) || [];
                         for (const m of childMatches) {
                             const url = m.replace(/<\/?loc>/gi, "");
@@ -868,107 +783,97 @@ async function findBlogsFromScraping(domain, limit = 10) {
 // STRATEGY 3: Puppeteer for JS-rendered pages (Next.js, React, etc.)
 // ============================================
 async function findBlogsWithPuppeteer(domain, limit = 10) {
-    if (!puppeteer) {
+    if (!isBrowserPoolAvailable()) {
         console.log("[Blog] Puppeteer not available, skipping");
         return [];
     }
 
     const urls = new Set();
-    let browser = null;
 
     try {
-        console.log(`[Blog] Starting Puppeteer for ${domain}...`);
-        
-        browser = await puppeteer.launch({
-            headless: 'new',
-            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
-        });
+        console.log(`[Blog] Rendering ${domain} in the shared browser...`);
 
-        const page = await browser.newPage();
-        
-        // Set user agent to avoid detection
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        
-        // Try /blog first
-        const blogUrl = `https://${domain}/blog`;
-        console.log(`[Blog] Puppeteer navigating to: ${blogUrl}`);
-        
-        try {
-            await page.goto(blogUrl, { 
-                waitUntil: 'networkidle2', 
-                timeout: 30000 
-            });
-            
-            // Wait for content to load (common selectors for blog posts)
-            await page.waitForFunction(() => {
-                return document.querySelectorAll('article, [class*="post"], [class*="blog"], h2 a, h3 a').length > 0;
-            }, { timeout: 10000 }).catch(() => {
-                console.log("[Blog] No content selectors found, proceeding anyway...");
-            });
-
-            // Wait a bit more for any lazy-loaded content
-            await new Promise(r => setTimeout(r, 2000));
-
-        } catch (navError) {
-            console.log(`[Blog] Puppeteer navigation error: ${navError.message}`);
-            await browser.close();
-            return [];
-        }
+        const links = await withPage(async (page) => {
+            // Try /blog first
+            const blogUrl = `https://${domain}/blog`;
+            console.log(`[Blog] Puppeteer navigating to: ${blogUrl}`);
+
+            try {
+                await page.goto(blogUrl, {
+                    waitUntil: 'networkidle2',
+                    timeout: 30000
+                });
+
+                // Wait for content to load (common selectors for blog posts)
+                await page.waitForFunction(() => {
+                    return document.querySelectorAll('article, [class*="post"], [class*="blog"], h2 a, h3 a').length > 0;
+                }, { timeout: 10000 }).catch(() => {
+                    console.log("[Blog] No content selectors found, proceeding anyway...");
+                });
+
+                // Wait a bit more for any lazy-loaded content
+                await new Promise(r => setTimeout(r, 2000));
+
+            } catch (navError) {
+                console.log(`[Blog] Puppeteer navigation error: ${navError.message}`);
+                return [];
+            }
 
-        // Extract links using page.evaluate
-        const links = await page.evaluate((domain) => {
-            const results = [];
+            // Extract links using page.evaluate
+            return page.evaluate((domain) => {
+                const results = [];
             
-            // Try multiple selectors to find article links
-            const selectors = [
-                'article a[href]',
-                '[class*="post"] a[href]',
-                '[class*="blog"] a[href]',
-                '[class*="article"] a[href]',
-                'h2 a[href]',
-                'h3 a[href]',
-                '.card a[href]',
-                'a[href*="/blog/"]',
-                'a[href*="/post/"]',
-                'a[href*="/article/"]',
-                'main a[href]',
-                '[role="main"] a[href]'
-            ];
+                // Try multiple selectors to find article links
+                const selectors = [
+                    'article a[href]',
+                    '[class*="post"] a[href]',
+                    '[class*="blog"] a[href]',
+                    '[class*="article"] a[href]',
+                    'h2 a[href]',
+                    'h3 a[href]',
+                    '.card a[href]',
+                    'a[href*="/blog/"]',
+                    'a[href*="/post/"]',
+                    'a[href*="/article/"]',
+                    'main a[href]',
+                    '[role="main"] a[href]'
+                ];
             
-            for (const selector of selectors) {
-                document.querySelectorAll(selector).forEach(el => {
-                    const href = el.getAttribute('href');
-                    if (href) {
-                        // Make absolute URL
-                        let absoluteUrl = href;
-                        if (href.startsWith('/')) {
-                            absoluteUrl = `https://${domain}${href}`;
-                        } else if (!href.startsWith('http')) {
-                            return;
-                        }
+                for (const selector of selectors) {
+                    document.querySelectorAll(selector).forEach(el => {
+                        const href = el.getAttribute('href');
+                        if (href) {
+                            // Make absolute URL
+                            let absoluteUrl = href;
+                            if (href.startsWith('/')) {
+                                absoluteUrl = `https://${domain}${href}`;
+                            } else if (!href.startsWith('http')) {
+                                return;
+                            }
                         
-                        // Filter out common non-article paths
-                        const skipPatterns = [
-                            '/tag/', '/category/', '/author/', '/page/',
-                            '/wp-content/', '/wp-admin/', '/cdn-cgi/',
-                            '/assets/', '/static/', '/api/', '/_next/',
-                            '#', '/search', '/login', '/signup', '/cart',
-                            '/checkout', '/account', '/privacy', '/terms'
-                        ];
+                            // Filter out common non-article paths
+                            const skipPatterns = [
+                                '/tag/', '/category/', '/author/', '/page/',
+                                '/wp-content/', '/wp-admin/', '/cdn-cgi/',
+                                '/assets/', '/static/', '/api/', '/_next/',
+                                '#', '/search', '/login', '/signup', '/cart',
+                                '/checkout', '/account', '/privacy', '/terms'
+                            ];
                         
-                        const isValid = !skipPatterns.some(p => absoluteUrl.includes(p));
-                        const hasArticleSlug = absoluteUrl.split('/').pop()?.length > 10 ||
-                                               absoluteUrl.split('/').pop()?.includes('-');
+                            const isValid = !skipPatterns.some(p => absoluteUrl.includes(p));
+                            const hasArticleSlug = absoluteUrl.split('/').pop()?.length > 10 ||
+                                                   absoluteUrl.split('/').pop()?.includes('-');
                         
-                        if (isValid && hasArticleSlug) {
-                            results.push(absoluteUrl);
+                            if (isValid && hasArticleSlug) {
+                                results.push(absoluteUrl);
+                            }
                         }
-                    }
-                });
-            }
+                    });
+                }
             
-            return [...new Set(results)];
-        }, domain);
+                return [...new Set(results)];
+            }, domain);
+        }, { timeoutMs: 30000 });
 
         console.log(`[Blog] Puppeteer found ${links.length} raw links`);
         
@@ -984,10 +889,6 @@ async function findBlogsWithPuppeteer(domain, limit = 10) {
 
     } catch (error) {
         console.error(`[Blog] Puppeteer error: ${error.message}`);
-    } finally {
-        if (browser) {
-            await browser.close();
-        }
     }
 
     return [...urls].slice(0, limit).map((url, i) => ({
@@ -1011,8 +912,9 @@ async function verifyUrls(posts, maxChecks = 10) {
     console.log(`[Blog] Verifying ${targetPosts.length}/${posts.length} URLs...`);
     const checks = await Promise.allSettled(
         targetPosts.map((post) =>
-            axios.head(post.url, {
-                timeout: 5000,
+            politeHead(post.url, {
+                timeoutMs: 5000,
+                retries: 1,
                 maxRedirects: 3,
                 validateStatus: (s) => s >= 200 && s < 400
             })
@@ -1088,7 +990,7 @@ async function getBlogPosts(domain, limit = 10) {
 
     // STRATEGY 4: Puppeteer for JS-rendered pages (Next.js, React apps)
     // Use when nothing else worked (likely a dynamic SPA)
-    if (posts.length === 0 && puppeteer) {
+    if (posts.length === 0 && isBrowserPoolAvailable()) {
         console.log("[Blog] Step 4: Trying Puppeteer for JS-rendered content...");
         const puppeteerPosts = await findBlogsWithPuppeteer(domain, limit);
         
@@ -1220,4 +1122,4 @@ async function getBlogPosts(domain, limit = 10) {
     return posts;
 }
 
-module.exports = { getBlogPosts, scrapeFullBlogContent };
+module.exports = { getBlogPosts, scrapeFullBlogContent, mapWithConcurrency };
@@ -0,0 +1,216 @@
+const cheerio = require("cheerio");
+const { CRAWLER_USER_AGENT, isAllowedByRobots } = require("./fetchService");
+
+// Puppeteer is optional; without it every render helper returns null and callers stay on static HTML.
+let puppeteer = null;
+try {
+    puppeteer = require("puppeteer");
+} catch {
+    console.log("[Browser] Puppeteer not available, rendered scraping disabled");
+}
+
+/**
+ * Shared headless browser for JS-rendered pages (structural scraper, pricing, blog discovery).
+ * One Chrome process is launched lazily and reused; at most BROWSER_POOL_MAX_PAGES tabs are open
+ * at once and further callers queue (up to BROWSER_POOL_MAX_QUEUE, then fail fast).
+ * The browser closes after BROWSER_POOL_IDLE_MS without open tabs and relaunches on next use.
+ */
+
+const MAX_PAGES = Math.max(1, Number(process.env.BROWSER_POOL_MAX_PAGES) || 2);
+const MAX_QUEUE = Math.max(0, Number(process.env.BROWSER_POOL_MAX_QUEUE) || 20);
+const IDLE_CLOSE_MS = Math.max(1000, Number(process.env.BROWSER_POOL_IDLE_MS) || 60000);
+const DEFAULT_RENDER_TIMEOUT_MS = 20000;
+// After a failed launch (missing Chrome or system libraries) skip rendering for a while instead of retrying per page.
+const LAUNCH_RETRY_MS = 60000;
+// Below this much visible body text, static HTML is treated as an unrendered JS shell.
+const RENDER_MIN_TEXT_CHARS = 400;
+
+let browserPromise = null;
+let activePages = 0;
+const waiters = [];
+let idleTimer = null;
+let launchFailedAt = 0;
+
+function isBrowserPoolAvailable() {
+    return Boolean(puppeteer);
+}
+
+function getBrowser() {
+    if (!browserPromise && Date.now() - launchFailedAt < LAUNCH_RETRY_MS) {
+        return Promise.reject(new Error("Browser launch failed recently; rendering paused"));
+    }
+    if (!browserPromise) {
+        // Only clear the shared promise if it still refers to this launch: an idle close can overlap
+        // a relaunch, and the old browser's disconnect must not orphan the new one.
+        const launchPromise = puppeteer.launch({
+            headless: true,
+            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+        }).then((browser) => {
+            console.log("[Browser] Launched shared headless browser");
+            browser.on('disconnected', () => {
+                if (browserPromise === launchPromise) browserPromise = null;
+            });
+            return browser;
+        }).catch((error) => {
+            if (browserPromise === launchPromise) browserPromise = null;
+            launchFailedAt = Date.now();
+            console.error(`[Browser] Launch failed: ${error.message.split('\n')[0]}`);
+            throw error;
+        });
+        browserPromise = launchPromise;
+    }
+    return browserPromise;
+}
+
+function clearIdleTimer() {
+    if (idleTimer) {
+        clearTimeout(idleTimer);
+        idleTimer = null;
+    }
+}
+
+function scheduleIdleClose() {
+    clearIdleTimer();
+    idleTimer = setTimeout(() => {
+        idleTimer = null;
+        if (activePages === 0) closeBrowserPool();
+    }, IDLE_CLOSE_MS);
+    idleTimer.unref();
+}
+
+async function acquireSlot() {
+    clearIdleTimer();
+    if (activePages < MAX_PAGES) {
+        activePages += 1;
+        return;
+    }
+    if (waiters.length >= MAX_QUEUE) {
+        const error = new Error(`Browser pool busy (${activePages} open pages, ${waiters.length} queued)`);
+        error.code = 'BROWSER_POOL_BUSY';
+        throw error;
+    }
+    // releaseSlot hands its slot straight to the next waiter, so activePages is unchanged here.
+    await new Promise((resolve) => waiters.push(resolve));
+}
+
+function releaseSlot() {
+    const next = waiters.shift();
+    if (next) {
+        next();
+        return;
+    }
+    activePages -= 1;
+    if (activePages === 0) scheduleIdleClose();
+}
+
+/**
+ * Run a task with a fresh tab from the shared browser; the tab is always closed afterwards.
+ * @param {(page: import('puppeteer').Page) => Promise<any>} task
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Default navigation/wait timeout for the tab
+ */
+async function withPage(task, { timeoutMs = DEFAULT_RENDER_TIMEOUT_MS } = {}) {
+    if (!puppeteer) throw new Error("Puppeteer not available");
+    await acquireSlot();
+    let page = null;
+    try {
+        const browser = await getBrowser();
+        page = await browser.newPage();
+        await page.setUserAgent(CRAWLER_USER_AGENT);
+        page.setDefaultTimeout(timeoutMs);
+        page.setDefaultNavigationTimeout(timeoutMs);
+        return await task(page);
+    } finally {
+        if (page) await page.close().catch(() => {});
+        releaseSlot();
+    }
+}
+
+/**
+ * Rendered HTML of a URL, or null when Puppeteer is missing or navigation fails.
+ * @param {string} url
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs]
+ * @param {string} [options.waitUntil] - Puppeteer lifecycle event (default networkidle2)
+ */
+async function renderPage(url, { timeoutMs = DEFAULT_RENDER_TIMEOUT_MS, waitUntil = 'networkidle2' } = {}) {
+    if (!puppeteer) return null;
+    try {
+        if (!(await isAllowedByRobots(url))) {
+            console.log(`[Browser] Skipping ${url}: blocked by robots.txt`);
+            return null;
+        }
+        return await withPage(async (page) => {
+            await page.goto(url, { waitUntil, timeout: timeoutMs });
+            return page.content();
+        }, { timeoutMs });
+    } catch (error) {
+        console.log(`[Browser] Render failed for ${url}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Visible body text length of an HTML document (scripts, styles and templates excluded).
+ */
+function visibleTextLength(html) {
+    if (!html || typeof html !== 'string') return 0;
+    const $ = cheerio.load(html);
+    $('script, style, noscript, template, svg').remove();
+    return $('body').text().replace(/\s+/g, ' ').trim().length;
+}
+
+function hasThinText(html, minChars = RENDER_MIN_TEXT_CHARS) {
+    return visibleTextLength(html) < minChars;
+}
+
+/**
+ * Static HTML unless it is too thin to be the real page, in which case the rendered HTML
+ * (when rendering works and actually has more text).
+ * @returns {Promise<{ html: string|null, rendered: boolean }>}
+ */
+async function withRenderFallback(url, staticHtml, options = {}) {
+    if (!puppeteer || !hasThinText(staticHtml, options.minChars)) {
+        return { html: staticHtml, rendered: false };
+    }
+    const renderedHtml = await renderPage(url, options);
+    if (renderedHtml && visibleTextLength(renderedHtml) > visibleTextLength(staticHtml)) {
+        console.log(`[Browser] Using rendered HTML for ${url}`);
+        return { html: renderedHtml, rendered: true };
+    }
+    return { html: staticHtml, rendered: false };
+}
+
+async function closeBrowserPool() {
+    clearIdleTimer();
+    const pending = browserPromise;
+    browserPromise = null;
+    if (!pending) return;
+    try {
+        const browser = await pending;
+        await browser.close();
+        console.log("[Browser] Closed shared headless browser");
+    } catch {
+        // Already gone (crash or failed launch)
+    }
+}
+
+function getBrowserPoolStats() {
+    return {
+        available: Boolean(puppeteer),
+        launched: Boolean(browserPromise),
+        activePages,
+        queued: waiters.length,
+        maxPages: MAX_PAGES
+    };
+}
+
+module.exports = {
+    isBrowserPoolAvailable,
+    withPage,
+    renderPage,
+    withRenderFallback,
+    hasThinText,
+    closeBrowserPool,
+    getBrowserPoolStats
+};
@@ -0,0 +1,124 @@
+const { getUsageContext, getSpendUsd, getAverageCallCostUsd } = require('./usageService');
+
+/**
+ * Spend guardrails on top of the usage ledger.
+ * Caps (USD, unset = no cap):
+ *   BUDGET_PER_ONBOARDING_USD - one API request / batch item (current usage scope)
+ *   BUDGET_PER_DAY_USD        - all AI spend since 00:00 UTC
+ *   BUDGET_PER_DOMAIN_USD     - one client domain over BUDGET_DOMAIN_WINDOW_DAYS (default 30)
+ *
+ * Optional stages (master escalation, recovery, backfills) are skipped when the projected
+ * next call would cross a cap; new research is refused (402) once a cap is already reached.
+ */
+
+const DEFAULT_ESTIMATED_CALL_USD = 0.05;
+const GUARDRAILS = {
+    PER_ONBOARDING: 'per_onboarding',
+    PER_DAY: 'per_day',
+    PER_DOMAIN: 'per_domain'
+};
+
+function readCap(envVar) {
+    const raw = process.env[envVar];
+    if (raw === undefined || raw === '') return null;
+    const value = Number(raw);
+    return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+function getBudgetLimits() {
+    return {
+        perOnboardingUsd: readCap('BUDGET_PER_ONBOARDING_USD'),
+        perDayUsd: readCap('BUDGET_PER_DAY_USD'),
+        perDomainUsd: readCap('BUDGET_PER_DOMAIN_USD'),
+        domainWindowDays: Math.max(1, Number(process.env.BUDGET_DOMAIN_WINDOW_DAYS || 30))
+    };
+}
+
+function startOfUtcDayMs(now = new Date()) {
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+}
+
+async function estimateNextCallUsd() {
+    const configured = readCap('BUDGET_ESTIMATED_CALL_USD');
+    if (configured !== null) return configured;
+    return (await getAverageCallCostUsd()) ?? DEFAULT_ESTIMATED_CALL_USD;
+}
+
+/**
+ * Check every configured cap for `domain`.
+ * @param {object} params
+ * @param {string} params.domain - Client domain the spend is billed to
+ * @param {number} [params.projectedUsd] - Expected cost of the next step (0 = only check caps already reached)
+ * @param {string} [params.stage] - Stage being gated, echoed in the guardrail
+ * @returns {Promise<{allowed: boolean, guardrail: object|null}>}
+ *   guardrail: { name, stage, limitUsd, spentUsd, projectedUsd }
+ */
+async function checkBudget({ domain, projectedUsd = 0, stage = null }) {
+    const limits = getBudgetLimits();
+    if (limits.perOnboardingUsd === null && limits.perDayUsd === null && limits.perDomainUsd === null) {
+        return { allowed: true, guardrail: null };
+    }
+
+    const context = getUsageContext();
+    const checks = [
+        {
+            name: GUARDRAILS.PER_ONBOARDING,
+            limitUsd: limits.perOnboardingUsd,
+            spent: async () => context?.totals?.costUsd || 0
+        },
+        {
+            name: GUARDRAILS.PER_DAY,
+            limitUsd: limits.perDayUsd,
+            spent: () => getSpendUsd({ sinceMs: startOfUtcDayMs() })
+        },
+        {
+            name: GUARDRAILS.PER_DOMAIN,
+            limitUsd: limits.perDomainUsd,
+            spent: () => getSpendUsd({ domain: context?.domain || domain, sinceMs: Date.now() - limits.domainWindowDays * 86_400_000 })
+        }
+    ];
+
+    for (const check of checks) {
+        if (check.limitUsd === null) continue;
+        const spentUsd = await check.spent();
+        const reached = projectedUsd > 0 ? spentUsd + projectedUsd > check.limitUsd : spentUsd >= check.limitUsd;
+        if (reached) {
+            const guardrail = { name: check.name, stage, limitUsd: check.limitUsd, spentUsd, projectedUsd };
+            console.warn(`[Budget] ${check.name} guardrail fired for ${domain}${stage ? ` at ${stage}` : ''}: spent $${spentUsd} + projected $${projectedUsd} vs cap $${check.limitUsd}`);
+            return { allowed: false, guardrail };
+        }
+    }
+    return { allowed: true, guardrail: null };
+}
+
+/**
+ * Gate an optional stage: allowed unless the projected next call crosses a cap.
+ */
+async function checkOptionalStage(domain, stage) {
+    return checkBudget({ domain, stage, projectedUsd: await estimateNextCallUsd() });
+}
+
+/**
+ * Refuse new work once a cap is already reached. Throws an error with statusCode 402.
+ */
+async function assertBudgetAvailable(domain, stage = 'start') {
+    const { allowed, guardrail } = await checkBudget({ domain, stage });
+    if (allowed) return;
+    const error = new Error(`Budget exceeded: ${guardrail.name} cap of $${guardrail.limitUsd} reached ($${guardrail.spentUsd} spent)`);
+    error.statusCode = 402;
+    error.guardrail = guardrail;
+    throw error;
+}
+
+function isBudgetExceededError(error) {
+    return Boolean(error) && error.statusCode === 402 && Boolean(error.guardrail);
+}
+
+module.exports = {
+    GUARDRAILS,
+    getBudgetLimits,
+    checkBudget,
+    checkOptionalStage,
+    assertBudgetAvailable,
+    isBudgetExceededError
+};
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Persistent result cache for research, competitor and blog lookups.
+ * Stores: file (default, one JSON file per key) or sqlite (requires better-sqlite3).
+ * Keys are built from normalizeDomainForCache so www./protocol variants share entries.
+ */
+
+const CACHE_STORE = String(process.env.CACHE_STORE || 'file').toLowerCase();
+const CACHE_DIR = process.env.CACHE_DIR || path.join(process.cwd(), '.cache', 'research');
+const CACHE_SQLITE_PATH = process.env.CACHE_SQLITE_PATH || path.join(process.cwd(), '.cache', 'research-cache.db');
+
+const CACHE_TTL_MS = {
+    research: 7 * 86_400_000,
+    competitor: 7 * 86_400_000,
+    blogs: 86_400_000
+};
+
+function normalizeDomainForCache(input) {
+    if (!input) return null;
+    try {
+        const withProtocol = /^https?:\/\//i.test(input) ? input : `https://${input}`;
+        const parsed = new URL(withProtocol);
+        return parsed.hostname.replace(/^www\./i, '').toLowerCase();
+    } catch {
+        return String(input)
+            .trim()
+            .toLowerCase()
+            .replace(/^https?:\/\//i, '')
+            .replace(/^www\./i, '')
+            .split('/')[0] || null;
+    }
+}
+
+function buildCacheKey(kind, domain, variant = 'default') {
+    const normalizedDomain = normalizeDomainForCache(domain) || String(domain || '').toLowerCase();
+    return `${kind}::${normalizedDomain}::${variant}`;
+}
+
+// ============================================
+// STORES
+// ============================================
+
+function createFileStore(dir) {
+    const fileFor = (key) => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+    return {
+        name: 'file',
+        async get(key) {
+            try {
+                const raw = await fs.promises.readFile(fileFor(key), 'utf8');
+                const entry = JSON.parse(raw);
+                return entry?.key === key ? entry : null;
+            } catch {
+                return null;
+            }
+        },
+        async set(key, entry) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const target = fileFor(key);
+            const tmp = `${target}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify({ ...entry, key }));
+            await fs.promises.rename(tmp, target);
+        },
+        async delete(key) {
+            await fs.promises.rm(fileFor(key), { force: true });
+        }
+    };
+}
+
+function createSqliteStore(dbPath) {
+    const Database = require('better-sqlite3');
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    const db = new Database(dbPath);
+    db.exec('CREATE TABLE IF NOT EXISTS cache_entries (key TEXT PRIMARY KEY, kind TEXT, cached_at INTEGER, value TEXT)');
+    const selectStmt = db.prepare('SELECT key, kind, cached_at, value FROM cache_entries WHERE key = ?');
+    const upsertStmt = db.prepare('INSERT OR REPLACE INTO cache_entries (key, kind, cached_at, value) VALUES (?, ?, ?, ?)');
+    const deleteStmt = db.prepare('DELETE FROM cache_entries WHERE key = ?');
+
+    return {
+        name: 'sqlite',
+        async get(key) {
+            const row = selectStmt.get(key);
+            if (!row) return null;
+            try {
+                return { key: row.key, kind: row.kind, cachedAt: row.cached_at, value: JSON.parse(row.value) };
+            } catch {
+                return null;
+            }
+        },
+        async set(key, entry) {
+            upsertStmt.run(key, entry.kind, entry.cachedAt, JSON.stringify(entry.value));
+        },
+        async delete(key) {
+            deleteStmt.run(key);
+        }
+    };
+}
+
+let activeStore = null;
+
+function getCacheStore() {
+    if (activeStore) return activeStore;
+    if (CACHE_STORE === 'sqlite') {
+        try {
+            activeStore = createSqliteStore(CACHE_SQLITE_PATH);
+        } catch (error) {
+            const reason = error.code === 'MODULE_NOT_FOUND' ? 'better-sqlite3 not installed' : error.message;
+            console.warn(`[Cache] SQLite store unavailable (${reason}); falling back to file store`);
+        }
+    }
+    if (!activeStore) {
+        activeStore = createFileStore(CACHE_DIR);
+    }
+    console.log(`[Cache] Using ${activeStore.name} store`);
+    return activeStore;
+}
+
+// ============================================
+// CACHE API
+// ============================================
+
+/**
+ * Read a cached value. Expired entries are deleted and reported as a miss.
+ * @returns {Promise<{value: any, cachedAt: number, ageMs: number}|null>}
+ */
+async function getCached(kind, domain, variant) {
+    const store = getCacheStore();
+    const key = buildCacheKey(kind, domain, variant);
+    const ttlMs = CACHE_TTL_MS[kind] || CACHE_TTL_MS.research;
+    try {
+        const entry = await store.get(key);
+        if (!entry?.cachedAt) return null;
+        const ageMs = Date.now() - entry.cachedAt;
+        if (ageMs > ttlMs) {
+            await store.delete(key);
+            return null;
+        }
+        return { value: entry.value, cachedAt: entry.cachedAt, ageMs };
+    } catch (error) {
+        console.warn(`[Cache] Read failed for ${key}: ${error.message}`);
+        return null;
+    }
+}
+
+async function setCached(kind, domain, variant, value) {
+    const store = getCacheStore();
+    const key = buildCacheKey(kind, domain, variant);
+    try {
+        await store.set(key, { kind, cachedAt: Date.now(), value });
+    } catch (error) {
+        console.warn(`[Cache] Write failed for ${key}: ${error.message}`);
+    }
+}
+
+/**
+ * Return the cached value or run the loader and cache its result.
+ * Null/undefined loader results are not cached.
+ * @param {string} kind - research | competitor | blogs
+ * @param {string} domain
+ * @param {string} variant - Extra key part (e.g. blog limit, client domain)
+ * @param {object} options
+ * @param {boolean} [options.refresh] - Skip the read and overwrite the entry
+ * @param {function} [options.shouldCache] - (value) => boolean; false returns the value without caching it
+ * @param {function} loader - async () => value
+ * @returns {Promise<{value: any, cache: {hit: boolean, ageMs: number, refreshed: boolean}}>}
+ */
+async function withCache(kind, domain, variant, { refresh = false, shouldCache = null } = {}, loader) {
+    if (!refresh) {
+        const cached = await getCached(kind, domain, variant);
+        if (cached) {
+            console.log(`[Cache] ${kind} hit for ${domain} | variant=${variant} | ageMs=${cached.ageMs}`);
+            return { value: cached.value, cache: { hit: true, ageMs: cached.ageMs, refreshed: false } };
+        }
+    }
+
+    console.log(`[Cache] ${kind} ${refresh ? 'refresh' : 'miss'} for ${domain} | variant=${variant}`);
+    const value = await loader();
+    if (value !== null && value !== undefined) {
+        if (shouldCache && !shouldCache(value)) {
+            console.log(`[Cache] ${kind} for ${domain} not cached | variant=${variant}`);
+        } else {
+            await setCached(kind, domain, variant, value);
+        }
+    }
+    return { value, cache: { hit: false, ageMs: 0, refreshed: Boolean(refresh) } };
+}
+
+function isRefreshRequested(req) {
+    const raw = req.query?.refresh ?? req.body?.refresh;
+    return String(raw || '').toLowerCase() === 'true';
+}
+
+module.exports = {
+    CACHE_TTL_MS,
+    normalizeDomainForCache,
+    buildCacheKey,
+    getCached,
+    setCached,
+    withCache,
+    isRefreshRequested
+};
@@ -0,0 +1,252 @@
+/**
+ * Per-field source citations from provider grounding metadata.
+ * Providers cite character ranges of their raw answer; since the answer is a JSON
+ * object, each range is mapped to the top-level key whose value contains it.
+ *
+ * Output shape: { [fieldName]: ['https://...', ...] }
+ * Citations that cannot be tied to a field are kept under GENERAL_SOURCES_KEY.
+ */
+
+const GENERAL_SOURCES_KEY = '_general';
+const MAX_SOURCES_PER_FIELD = 10;
+
+/**
+ * Character spans of every top-level key/value pair in a JSON object embedded in text.
+ * @returns {Array<{field: string, start: number, end: number}>}
+ */
+function buildTopLevelFieldSpans(text) {
+    const source = String(text || '');
+    const spans = [];
+    const objectStart = source.indexOf('{');
+    if (objectStart < 0) return spans;
+
+    let depth = 0;
+    let inString = false;
+    let stringStart = -1;
+    let lastString = null;
+    let current = null;
+
+    for (let i = objectStart; i < source.length; i++) {
+        const char = source[i];
+        if (inString) {
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                inString = false;
+                lastString = source.slice(stringStart + 1, i);
+            }
+            continue;
+        }
+        if (char === '"') {
+            inString = true;
+            stringStart = i;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 0) {
+                if (current) spans.push({ ...current, end: i });
+                break;
+            }
+        } else if (char === ':' && depth === 1 && lastString !== null) {
+            if (current) spans.push({ ...current, end: stringStart });
+            current = { field: lastString, start: stringStart };
+        } else if (char === ',' && depth === 1) {
+            lastString = null;
+        }
+    }
+    return spans;
+}
+
+function fieldsForRange(spans, start, end) {
+    if (!Number.isFinite(start)) return [];
+    const rangeEnd = Math.max(Number.isFinite(end) ? end : start, start + 1);
+    return spans
+        .filter((span) => start < span.end && rangeEnd > span.start)
+        .map((span) => span.field);
+}
+
+function isHttpUrl(value) {
+    return typeof value === 'string' && /^https?:\/\//i.test(value.trim());
+}
+
+function addSource(sources, field, url) {
+    if (!isHttpUrl(url)) return;
+    const key = field || GENERAL_SOURCES_KEY;
+    const list = sources[key] || (sources[key] = []);
+    const trimmed = url.trim();
+    if (!list.includes(trimmed) && list.length < MAX_SOURCES_PER_FIELD) list.push(trimmed);
+}
+
+/**
+ * Attribute a citation covering [start, end) (or a quoted snippet) to JSON fields.
+ */
+function attributeCitation(sources, { text, spans, start, end, snippet, urls }) {
+    let rangeStart = start;
+    let rangeEnd = end;
+    if (snippet) {
+        const snippetIndex = text.indexOf(snippet);
+        if (snippetIndex >= 0) {
+            rangeStart = snippetIndex;
+            rangeEnd = snippetIndex + snippet.length;
+        }
+    }
+    const fields = fieldsForRange(spans, rangeStart, rangeEnd);
+    for (const url of urls) {
+        if (fields.length === 0) {
+            addSource(sources, null, url);
+        } else {
+            for (const field of fields) addSource(sources, field, url);
+        }
+    }
+}
+
+/**
+ * Gemini: groundingSupports[].segment points into the response text,
+ * groundingChunkIndices into groundingChunks[].web.uri.
+ */
+function extractGeminiSources(responseText, groundingMetadata) {
+    const sources = {};
+    const chunks = Array.isArray(groundingMetadata?.groundingChunks) ? groundingMetadata.groundingChunks : [];
+    if (chunks.length === 0) return sources;
+
+    const text = String(responseText || '');
+    const spans = buildTopLevelFieldSpans(text);
+    const supports = Array.isArray(groundingMetadata.groundingSupports) ? groundingMetadata.groundingSupports : [];
+    const citedChunks = new Set();
+
+    for (const support of supports) {
+        const indices = Array.isArray(support?.groundingChunkIndices) ? support.groundingChunkIndices : [];
+        const urls = indices.map((index) => chunks[index]?.web?.uri).filter(Boolean);
+        indices.forEach((index) => citedChunks.add(index));
+        // Segment offsets are byte-based; prefer locating the segment text itself.
+        attributeCitation(sources, {
+            text,
+            spans,
+            start: support?.segment?.startIndex ?? 0,
+            end: support?.segment?.endIndex,
+            snippet: support?.segment?.text,
+            urls
+        });
+    }
+
+    chunks.forEach((chunk, index) => {
+        if (!citedChunks.has(index)) addSource(sources, null, chunk?.web?.uri);
+    });
+    return sources;
+}
+
+/**
+ * OpenAI Responses API: message output_text parts carry url_citation annotations
+ * with start_index/end_index into that part's text.
+ */
+function extractOpenAISources(response) {
+    const sources = {};
+    const outputs = Array.isArray(response?.output) ? response.output : [];
+    for (const item of outputs) {
+        if (item?.type !== 'message' || !Array.isArray(item.content)) continue;
+        for (const part of item.content) {
+            if (part?.type !== 'output_text' || !Array.isArray(part.annotations)) continue;
+            const text = String(part.text || '');
+            const spans = buildTopLevelFieldSpans(text);
+            for (const annotation of part.annotations) {
+                if (annotation?.type !== 'url_citation') continue;
+                attributeCitation(sources, {
+                    text,
+                    spans,
+                    start: annotation.start_index,
+                    end: annotation.end_index,
+                    urls: [annotation.url]
+                });
+            }
+        }
+    }
+    return sources;
+}
+
+/**
+ * Perplexity: the answer contains [n] markers that index into completion.citations.
+ */
+function extractPerplexitySources(responseText, citations) {
+    const sources = {};
+    const urls = Array.isArray(citations) ? citations : [];
+    if (urls.length === 0) return sources;
+
+    const text = String(responseText || '');
+    const spans = buildTopLevelFieldSpans(text);
+    const cited = new Set();
+    for (const match of text.matchAll(/\[(\d{1,3})\]/g)) {
+        const index = Number(match[1]) - 1;
+        if (!urls[index]) continue;
+        cited.add(index);
+        attributeCitation(sources, { text, spans, start: match.index, end: match.index + match[0].length, urls: [urls[index]] });
+    }
+    urls.forEach((url, index) => {
+        if (!cited.has(index)) addSource(sources, null, url);
+    });
+    return sources;
+}
+
+/**
+ * Claude: text blocks carry web_search_result_location citations; blocks are joined
+ * with "\n" into the response text, so offsets are tracked per block.
+ */
+function extractClaudeSources(contentBlocks) {
+    const sources = {};
+    const textBlocks = (Array.isArray(contentBlocks) ? contentBlocks : []).filter((block) => block?.type === 'text');
+    const text = textBlocks.map((block) => block.text).join('\n');
+    const spans = buildTopLevelFieldSpans(text);
+
+    let offset = 0;
+    for (const block of textBlocks) {
+        const blockText = String(block.text || '');
+        const urls = (Array.isArray(block.citations) ? block.citations : [])
+            .map((citation) => citation?.url)
+            .filter(Boolean);
+        if (urls.length > 0) {
+            attributeCitation(sources, { text, spans, start: offset, end: offset + blockText.length, urls });
+        }
+        offset += blockText.length + 1;
+    }
+    return sources;
+}
+
+/**
+ * Merge source maps, deduping URLs per field.
+ */
+function mergeSources(...maps) {
+    const merged = {};
+    for (const map of maps) {
+        if (!map || typeof map !== 'object' || Array.isArray(map)) continue;
+        for (const [field, urls] of Object.entries(map)) {
+            for (const url of Array.isArray(urls) ? urls : [urls]) {
+                addSource(merged, field, url);
+            }
+        }
+    }
+    return merged;
+}
+
+/**
+ * Attach extracted sources to a parsed provider result (keeps any sources the model wrote itself).
+ */
+function attachSources(result, sources) {
+    if (!result || typeof result !== 'object') return result;
+    const merged = mergeSources(result.sources, sources);
+    const fieldCount = Object.keys(merged).length;
+    if (fieldCount > 0) {
+        console.log(`[AI] Captured citations for ${fieldCount} field(s)`);
+    }
+    return { ...result, sources: merged };
+}
+
+module.exports = {
+    GENERAL_SOURCES_KEY,
+    buildTopLevelFieldSpans,
+    extractGeminiSources,
+    extractOpenAISources,
+    extractPerplexitySources,
+    extractClaudeSources,
+    mergeSources,
+    attachSources
+};
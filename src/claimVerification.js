@@ -0,0 +1,123 @@
+const { getScrapedEvidence, phrasesMatch, valueToPhrases } = require('./fieldConfidence');
+const { extractPriceMentions } = require('./pricingExtractor');
+
+/**
+ * Cross-check normalized research output against scrapeStructuralData facts.
+ * Each claim lands in one bucket:
+ *   supported     the scraped page states the same thing
+ *   unsupported   the relevant page was scraped but doesn't mention it (likely hallucination)
+ *   contradicted  the page states something different (e.g. another price for the same tier)
+ * Fields whose page wasn't scraped are skipped rather than counted as unsupported; coverage and
+ * evidence come from getScrapedEvidence, the same rules fieldConfidence scores with.
+ *
+ * Output: { checkedFields, supported, unsupported, contradicted, summary }
+ *   claim entries: { field, claim, evidence }
+ */
+
+function findMatch(claim, scraped) {
+    return (scraped || []).find((item) => item && phrasesMatch(claim, item)) || null;
+}
+
+function listForEvidence(items, max = 5) {
+    const list = (items || []).filter(Boolean);
+    if (list.length === 0) return 'nothing';
+    return list.slice(0, max).join(', ') + (list.length > max ? ', ...' : '');
+}
+
+/**
+ * Plain "found / not found" check of each claimed phrase against a scraped list.
+ */
+function checkPhrases(field, claims, scraped, pageLabel) {
+    return claims.map((claim) => {
+        const match = findMatch(claim, scraped);
+        return match
+            ? { verdict: 'supported', field, claim, evidence: `found on ${pageLabel}: "${match}"` }
+            : { verdict: 'unsupported', field, claim, evidence: `not found on ${pageLabel} (found: ${listForEvidence(scraped)})` };
+    });
+}
+
+// ============================================
+// FIELD VERIFIERS
+// Return null when the scrape can't say anything about the field.
+// ============================================
+
+function verifyListField(field, result, data) {
+    const evidence = getScrapedEvidence(field, data);
+    if (!evidence) return null;
+    return checkPhrases(field, valueToPhrases(result[field]), evidence.items, evidence.source);
+}
+
+function verifyPricing(result, data) {
+    const evidence = getScrapedEvidence('pricing', data);
+    if (!evidence) return null;
+    const plans = evidence.items;
+    const prices = data.pricing_prices || [];
+
+    return (result.pricing || []).map((tier) => {
+        const name = String(tier?.tier || tier?.name || '').trim();
+        const claimedPrices = extractPriceMentions(String(tier?.price ?? ''));
+        const claim = [name, tier?.price, tier?.period].filter(Boolean).join(' ');
+        const planMatch = name && plans.length > 0 ? findMatch(name, plans) : null;
+
+        if (plans.length > 0 && !planMatch) {
+            return { verdict: 'unsupported', field: 'pricing', claim, evidence: `tier not found on /pricing (plans: ${listForEvidence(plans)})` };
+        }
+        if (claimedPrices.length > 0 && prices.length > 0) {
+            const priceFound = claimedPrices.some((price) => prices.includes(price));
+            if (!priceFound) {
+                // Named plan with another price is a contradiction; no plan names to anchor on is only unsupported.
+                return {
+                    verdict: planMatch ? 'contradicted' : 'unsupported',
+                    field: 'pricing',
+                    claim,
+                    evidence: `${claimedPrices.join('/')} not on /pricing (prices: ${listForEvidence(prices)})`
+                };
+            }
+        }
+        return {
+            verdict: 'supported',
+            field: 'pricing',
+            claim,
+            evidence: planMatch ? `/pricing lists plan "${planMatch}"` : `/pricing lists ${claimedPrices.join('/')}`
+        };
+    });
+}
+
+const FIELD_VERIFIERS = {
+    compliance: (result, data) => verifyListField('compliance', result, data),
+    integrations: (result, data) => verifyListField('integrations', result, data),
+    features: (result, data) => verifyListField('features', result, data),
+    pricing: verifyPricing
+};
+
+/**
+ * Verify research claims against the structural scrape of the same domain.
+ * @param {object} result - normalizeResearchOutput output
+ * @param {object|null} structuralData - scrapeStructuralData output
+ * @returns {object|null} Verification block, or null when there is no scrape to check against
+ */
+function verifyResearchClaims(result, structuralData) {
+    if (!result || !structuralData) return null;
+
+    const verification = { checkedFields: [], supported: [], unsupported: [], contradicted: [] };
+    for (const [field, verify] of Object.entries(FIELD_VERIFIERS)) {
+        const checks = verify(result, structuralData);
+        if (!checks) continue;
+        verification.checkedFields.push(field);
+        for (const { verdict, ...entry } of checks) {
+            verification[verdict].push(entry);
+        }
+    }
+    verification.summary = {
+        supported: verification.supported.length,
+        unsupported: verification.unsupported.length,
+        contradicted: verification.contradicted.length
+    };
+
+    if (verification.unsupported.length > 0 || verification.contradicted.length > 0) {
+        console.log(`[Verify] ${result.domain || 'result'}: ${verification.summary.supported} supported, ${verification.summary.unsupported} unsupported, ${verification.summary.contradicted} contradicted`);
+    }
+    return verification;
+}
+
+module.exports = { verifyResearchClaims };
@@ -0,0 +1,117 @@
+const { isEmptyValue, normalizeText, valueToPhrases } = require('./fieldConfidence');
+
+/**
+ * Field-level diff between the AI research snapshot a form link was created with and what the
+ * client submitted. Used to measure research accuracy per field and to surface corrections in reports.
+ *
+ * Output: { comparedAt, fieldsCompared, summary: { corrected, added, removed }, changes }
+ *   change entries: { field, change, before, after, confidence, items? }
+ *   change: corrected (both sides have a value) | added (research had none) | removed (client cleared it)
+ *   items (lists only): { added, removed, changed } paired by item label; reordering alone is not a change
+ *   confidence: the research field's score/status at submission time, when it was scored
+ * Fields the submission doesn't include are treated as untouched, not removed.
+ */
+
+// Submission keys that are form extras or research bookkeeping rather than researched facts.
+const IGNORED_FIELDS = new Set([
+    'competitors', 'likedPosts', 'customUrls', 'compData', 'sitemapData', 'elevenLabsData', 'blogPosts',
+    'sources', 'fieldConfidence', 'verification', 'pricingCheck', 'prompts', 'conflicts', 'confidence',
+    'confidenceNotes', 'searchesPerformed', 'researchDate', 'experiment', 'consensus', 'budget', 'domain'
+]);
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Whitespace-insensitive, key-order-insensitive comparison form of a value.
+function canonical(value) {
+    if (isEmptyValue(value)) return '';
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (isPlainObject(value)) {
+        return `{${Object.keys(value).sort().map((key) => `${key}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return String(value).replace(/\s+/g, ' ').trim();
+}
+
+// Label used to pair list items across both sides (tier/name/title for objects).
+function itemKey(item) {
+    const label = isPlainObject(item) ? valueToPhrases(item)[0] : null;
+    return normalizeText(label || canonical(item));
+}
+
+function diffList(before, after) {
+    const beforeKeys = new Map(before.map((item) => [itemKey(item), item]));
+    const afterKeys = new Map(after.map((item) => [itemKey(item), item]));
+    const added = [...afterKeys].filter(([key]) => !beforeKeys.has(key)).map(([, item]) => item);
+    const removed = [...beforeKeys].filter(([key]) => !afterKeys.has(key)).map(([, item]) => item);
+    // Same label, edited details (e.g. a tier's price)
+    const changed = [...afterKeys]
+        .filter(([key, item]) => beforeKeys.has(key) && canonical(beforeKeys.get(key)) !== canonical(item))
+        .map(([key, item]) => ({ before: beforeKeys.get(key), after: item }));
+    return { added, removed, changed };
+}
+
+function changeKind(before, after) {
+    if (isEmptyValue(before)) return 'added';
+    if (isEmptyValue(after)) return 'removed';
+    return 'corrected';
+}
+
+function diffField(field, before, after, changes) {
+    if (canonical(before) === canonical(after)) return;
+
+    // Nested objects (social, contact maps) are compared key by key so the diff names the sub-field.
+    if (isPlainObject(before) && isPlainObject(after)) {
+        for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            if (!(key in after)) continue;
+            diffField(`${field}.${key}`, before[key], after[key], changes);
+        }
+        return;
+    }
+
+    const change = changeKind(before, after);
+    const entry = { field, change, before: before ?? null, after: after ?? null };
+    if (change === 'corrected' && Array.isArray(before) && Array.isArray(after)) {
+        entry.items = diffList(before, after);
+        const { added, removed, changed } = entry.items;
+        if (added.length === 0 && removed.length === 0 && changed.length === 0) return;
+    }
+    changes.push(entry);
+}
+
+/**
+ * Diff the client's submitted form values against the research snapshot.
+ * @param {object|null} researchSnapshot - tokenData.clientData as the link was created ({ data } or flat)
+ * @param {object} submitted - Form submission body (flat research fields plus form extras)
+ * @returns {object|null} Corrections block, or null when there is no research snapshot
+ */
+function diffClientCorrections(researchSnapshot, submitted) {
+    if (!researchSnapshot || !isPlainObject(submitted)) return null;
+    const research = isPlainObject(researchSnapshot.data) ? researchSnapshot.data : researchSnapshot;
+    const fieldConfidence = isPlainObject(research.fieldConfidence) ? research.fieldConfidence : {};
+
+    const changes = [];
+    let fieldsCompared = 0;
+    for (const field of Object.keys(submitted)) {
+        if (IGNORED_FIELDS.has(field) || field.startsWith('_')) continue;
+        fieldsCompared += 1;
+        diffField(field, research[field], submitted[field], changes);
+    }
+
+    for (const entry of changes) {
+        const scored = fieldConfidence[entry.field.split('.')[0]];
+        entry.confidence = scored ? { score: scored.score, status: scored.status } : null;
+    }
+
+    const summary = { corrected: 0, added: 0, removed: 0 };
+    for (const entry of changes) summary[entry.change] += 1;
+
+    return {
+        comparedAt: new Date().toISOString(),
+        fieldsCompared,
+        summary,
+        changes
+    };
+}
+
+module.exports = { diffClientCorrections };
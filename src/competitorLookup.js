@@ -1,6 +1,6 @@
-const axios = require("axios");
 const cheerio = require("cheerio");
 const { scrapeStructuralData } = require("./structuralScraper");
+const { politeGet } = require("./fetchService");
 
 /**
  * FASE 3: Competitor Lookup (ligero, no crawl profundo)
@@ -10,12 +10,7 @@ const { scrapeStructuralData } = require("./structuralScraper");
 
 async function quickScrape(domain) {
     try {
-        const { data } = await axios.get(`https://${domain}`, {
-            timeout: 8000,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            }
-        });
+        const { data } = await politeGet(`https://${domain}`, { timeoutMs: 8000 });
         return cheerio.load(data);
     } catch {
         return null;
@@ -5,6 +5,7 @@
  */
 
 const OpenAI = require("openai");
+const { recordUsage, usageFromOpenAIResponse } = require("./usageService");
 
 function extractJson(text) {
     if (!text) return null;
@@ -63,6 +64,7 @@ Return JSON ONLY:
     "novelty_score": 1-10
 }`
         });
+        recordUsage({ provider: "openai", model: "gpt-4o-mini", purpose: "compress_article", ...usageFromOpenAIResponse(response) });
 
         const parsed = extractJson(response.output_text);
         if (parsed) {
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeDomainForCache } = require('./cacheService');
+const { hasPromptVersion } = require('./promptRegistry');
+
+/**
+ * A/B experiment over client research prompt variants.
+ *
+ * PROMPT_EXPERIMENT_VARIANTS="lite:50,fastest:20,master:15,lite@v2:15"
+ *   <mode>[@v<N>]:<weight> — mode is fastest | lite | master, @vN pins the research
+ *   template version from the prompt registry (variants pinning a missing version are dropped).
+ *   Unset = no experiment (lite, active version).
+ * PROMPT_EXPERIMENT_NAME names the experiment; renaming it reshuffles assignments.
+ *
+ * Assignment is sticky per domain (hash of name + domain), so re-running an onboarding
+ * lands in the same variant. Each run's outcome is appended to EXPERIMENT_LOG_PATH.
+ */
+
+const EXPERIMENT_LOG_PATH = process.env.EXPERIMENT_LOG_PATH || path.join(process.cwd(), '.cache', 'experiments.jsonl');
+const VARIANT_PATTERN = /^(fastest|lite|master)(?:@v?(\d+))?$/i;
+const RESEARCH_PROMPT_ID = 'research';
+
+// Variants are re-parsed on every assignment; warn about each bad one once.
+const warnedVariants = new Set();
+
+function warnVariantOnce(part, message) {
+    if (warnedVariants.has(part)) return;
+    warnedVariants.add(part);
+    console.warn(`[Experiment] ${message}`);
+}
+
+function parseVariants(raw) {
+    const variants = [];
+    for (const part of String(raw || '').split(',').map((item) => item.trim()).filter(Boolean)) {
+        const [spec, weightRaw] = part.split(':').map((item) => item.trim());
+        const match = spec.match(VARIANT_PATTERN);
+        const weight = weightRaw === undefined ? 1 : Number(weightRaw);
+        if (!match || !Number.isFinite(weight) || weight <= 0) {
+            warnVariantOnce(part, `Ignoring invalid variant "${part}"`);
+            continue;
+        }
+        const promptMode = match[1].toLowerCase();
+        const promptVersion = match[2] ? Number(match[2]) : null;
+        // A pin to a missing version would make every onboarding in that bucket fail to render its prompt.
+        if (promptVersion !== null && !hasPromptVersion(RESEARCH_PROMPT_ID, promptVersion)) {
+            warnVariantOnce(part, `Ignoring variant "${part}": ${RESEARCH_PROMPT_ID} prompt v${promptVersion} does not exist`);
+            continue;
+        }
+        variants.push({
+            id: promptVersion ? `${promptMode}@v${promptVersion}` : promptMode,
+            promptMode,
+            promptVersion,
+            weight
+        });
+    }
+    return variants;
+}
+
+/**
+ * Active experiment from env, or null when none is configured.
+ * @returns {{ name: string, variants: Array<{id, promptMode, promptVersion, weight}> }|null}
+ */
+function getActiveExperiment() {
+    const variants = parseVariants(process.env.PROMPT_EXPERIMENT_VARIANTS);
+    if (variants.length === 0) return null;
+    return { name: process.env.PROMPT_EXPERIMENT_NAME || 'prompt-mode', variants };
+}
+
+/**
+ * Weighted, deterministic variant for a domain.
+ * @returns {{ experiment: string, variant: string, promptMode: string, promptVersion: number|null }|null}
+ */
+function assignPromptVariant(domain) {
+    const experiment = getActiveExperiment();
+    if (!experiment) return null;
+
+    const key = `${experiment.name}:${normalizeDomainForCache(domain) || domain}`;
+    const hash = parseInt(crypto.createHash('sha1').update(key).digest('hex').slice(0, 8), 16);
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let bucket = (hash / 0x100000000) * totalWeight;
+
+    const chosen = experiment.variants.find((variant) => {
+        bucket -= variant.weight;
+        return bucket < 0;
+    }) || experiment.variants[experiment.variants.length - 1];
+
+    return {
+        experiment: experiment.name,
+        variant: chosen.id,
+        promptMode: chosen.promptMode,
+        promptVersion: chosen.promptVersion
+    };
+}
+
+/**
+ * Append one research run to the experiment log. Never throws.
+ * @param {object} run
+ * @param {object} run.assignment - From assignPromptVariant
+ * @param {string} run.domain
+ * @param {string} [run.requestId]
+ * @param {'completed'|'failed'} run.status
+ * @param {number} run.latencyMs
+ * @param {boolean|null} run.hasCoverageGaps - hasDataReviewCoverageGaps on the final result
+ * @param {string|null} run.confidence
+ * @param {boolean} run.escalatedToMaster
+ * @param {number|null} run.costUsd - AI spend of the run's usage scope
+ */
+function recordExperimentRun({ assignment, domain, requestId = null, status, latencyMs, hasCoverageGaps = null, confidence = null, escalatedToMaster = false, costUsd = null }) {
+    if (!assignment) return null;
+    const entry = {
+        at: new Date().toISOString(),
+        experiment: assignment.experiment,
+        variant: assignment.variant,
+        promptMode: assignment.promptMode,
+        promptVersion: assignment.promptVersion,
+        domain: normalizeDomainForCache(domain),
+        requestId,
+        status,
+        latencyMs,
+        hasCoverageGaps,
+        confidence: confidence ? String(confidence).toLowerCase() : null,
+        escalatedToMaster,
+        costUsd
+    };
+    console.log(`[Experiment] ${entry.experiment}/${entry.variant} ${status} for ${entry.domain} in ${latencyMs}ms | gaps=${hasCoverageGaps} confidence=${entry.confidence || 'n/a'}`);
+
+    fs.promises.mkdir(path.dirname(EXPERIMENT_LOG_PATH), { recursive: true })
+        .then(() => fs.promises.appendFile(EXPERIMENT_LOG_PATH, `${JSON.stringify(entry)}\n`))
+        .catch((error) => console.warn(`[Experiment] Log write failed: ${error.message}`));
+    return entry;
+}
+
+async function readExperimentLog() {
+    try {
+        const raw = await fs.promises.readFile(EXPERIMENT_LOG_PATH, 'utf8');
+        return raw.split('\n').filter(Boolean).map((line) => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        }).filter(Boolean);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+function percentile(sortedValues, p) {
+    if (sortedValues.length === 0) return null;
+    const index = Math.min(sortedValues.length - 1, Math.ceil((p / 100) * sortedValues.length) - 1);
+    return sortedValues[Math.max(0, index)];
+}
+
+function rate(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 1000 : null;
+}
+
+function summarizeVariant(variant, runs) {
+    const completed = runs.filter((run) => run.status === 'completed');
+    const latencies = completed.map((run) => run.latencyMs).filter(Number.isFinite).sort((a, b) => a - b);
+    const costs = completed.map((run) => run.costUsd).filter(Number.isFinite);
+    const confidence = { high: 0, medium: 0, low: 0, unknown: 0 };
+    for (const run of completed) {
+        confidence[['high', 'medium', 'low'].includes(run.confidence) ? run.confidence : 'unknown'] += 1;
+    }
+
+    return {
+        variant,
+        promptMode: runs[0]?.promptMode || null,
+        promptVersion: runs[0]?.promptVersion ?? null,
+        runs: runs.length,
+        failed: runs.length - completed.length,
+        latencyMs: {
+            avg: latencies.length ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+            p50: percentile(latencies, 50),
+            p95: percentile(latencies, 95)
+        },
+        coverageGapRate: rate(completed.filter((run) => run.hasCoverageGaps).length, completed.length),
+        confidence,
+        highConfidenceRate: rate(confidence.high, completed.length),
+        escalationRate: rate(completed.filter((run) => run.escalatedToMaster).length, completed.length),
+        avgCostUsd: costs.length ? Math.round((costs.reduce((sum, value) => sum + value, 0) / costs.length) * 1_000_000) / 1_000_000 : null
+    };
+}
+
+/**
+ * Per-variant comparison for one experiment (defaults to the active one).
+ * @param {object} filters
+ * @param {string} [filters.experiment]
+ * @param {number} [filters.fromMs]
+ * @param {number} [filters.toMs]
+ */
+async function getExperimentReport({ experiment = null, fromMs = null, toMs = null } = {}) {
+    const active = getActiveExperiment();
+    const name = experiment || active?.name || null;
+    const runs = (await readExperimentLog()).filter((run) => {
+        const atMs = Date.parse(run.at);
+        if (name && run.experiment !== name) return false;
+        if (Number.isFinite(fromMs) && atMs < fromMs) return false;
+        if (Number.isFinite(toMs) && atMs > toMs) return false;
+        return true;
+    });
+
+    const byVariant = new Map();
+    for (const run of runs) {
+        if (!byVariant.has(run.variant)) byVariant.set(run.variant, []);
+        byVariant.get(run.variant).push(run);
+    }
+
+    return {
+        experiment: name,
+        active: Boolean(active && active.name === name),
+        configuredVariants: active && active.name === name ? active.variants : [],
+        totalRuns: runs.length,
+        variants: [...byVariant.entries()]
+            .map(([variant, variantRuns]) => summarizeVariant(variant, variantRuns))
+            .sort((a, b) => b.runs - a.runs)
+    };
+}
+
+module.exports = {
+    getActiveExperiment,
+    assignPromptVariant,
+    recordExperimentRun,
+    getExperimentReport
+};
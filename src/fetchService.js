@@ -0,0 +1,391 @@
+const axios = require("axios");
+
+/**
+ * Polite HTTP fetch layer for everything that reads client/competitor websites.
+ *   - one identifiable user agent (CRAWLER_USER_AGENT), also used by the headless browser
+ *   - per-host concurrency (CRAWLER_MAX_PER_HOST) and spacing between requests
+ *     (CRAWLER_MIN_INTERVAL_MS, raised to the host's robots.txt Crawl-delay)
+ *   - robots.txt allow checks (CRAWLER_RESPECT_ROBOTS=false to disable)
+ *   - exponential backoff on 429/5xx and connection resets, honoring Retry-After
+ *   - conditional GETs: ETag/Last-Modified revalidation against an in-memory response cache
+ * Responses look like axios responses ({ status, headers, data }) plus `fromCache`;
+ * failures throw axios-style errors (error.response.status) so existing catch blocks keep working.
+ */
+
+const CRAWLER_BOT_NAME = "BTAOnboardingBot";
+const CRAWLER_USER_AGENT = process.env.CRAWLER_USER_AGENT
+    || `Mozilla/5.0 (compatible; ${CRAWLER_BOT_NAME}/1.0; website research for client onboarding)`;
+const MAX_PER_HOST = Math.max(1, Number(process.env.CRAWLER_MAX_PER_HOST) || 2);
+const MIN_INTERVAL_MS = Math.max(0, Number(process.env.CRAWLER_MIN_INTERVAL_MS ?? 250) || 0);
+const RESPECT_ROBOTS = String(process.env.CRAWLER_RESPECT_ROBOTS || "true").toLowerCase() !== "false";
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+const MAX_CRAWL_DELAY_MS = 10000;
+const ROBOTS_TTL_MS = 60 * 60 * 1000;
+const ROBOTS_TIMEOUT_MS = 5000;
+// Host states unused this long (and robots.txt entries past ROBOTS_TTL_MS) are dropped on the next sweep.
+const HOST_IDLE_EVICT_MS = 10 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const RESPONSE_CACHE_MAX_BYTES = 50 * 1024 * 1024;
+const RESPONSE_CACHE_MAX_ENTRY_BYTES = 2 * 1024 * 1024;
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(["ECONNRESET", "EAI_AGAIN", "ECONNREFUSED", "EPIPE"]);
+
+const hosts = new Map();
+const robotsCache = new Map();
+const responseCache = new Map();
+let responseCacheBytes = 0;
+let lastSweepAt = 0;
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Forget idle hosts and expired robots.txt entries so a long-running server doesn't keep
+ * state for every host it has ever fetched. Runs at most once per SWEEP_INTERVAL_MS.
+ */
+function sweepIdleState(now = Date.now()) {
+    if (now - lastSweepAt < SWEEP_INTERVAL_MS) return;
+    lastSweepAt = now;
+    for (const [hostname, state] of hosts) {
+        const idle = state.active === 0 && state.queue.length === 0 && !state.timer;
+        if (idle && now - state.lastUsedAt > HOST_IDLE_EVICT_MS) hosts.delete(hostname);
+    }
+    for (const [origin, entry] of robotsCache) {
+        if (now - entry.loadedAt >= ROBOTS_TTL_MS) robotsCache.delete(origin);
+    }
+}
+
+// ============================================
+// ROBOTS.TXT
+// ============================================
+
+function robotsPatternToRegex(pattern) {
+    const anchored = pattern.endsWith("$");
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .replace(/[.+?^{}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, ".*");
+    return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Parse robots.txt into user-agent groups: [{ agents, rules: [{ allow, pattern, regex }], crawlDelayMs }]
+ */
+function parseRobotsRules(content) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(content || "").split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, "").trim();
+        const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+        if (!match) continue;
+        const key = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (key === "user-agent") {
+            if (!current || !lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelayMs: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+        lastWasAgent = false;
+        if (!current) continue;
+        if ((key === "allow" || key === "disallow") && value) {
+            current.rules.push({ allow: key === "allow", pattern: value, regex: robotsPatternToRegex(value) });
+        } else if (key === "crawl-delay" && Number.isFinite(Number(value))) {
+            current.crawlDelayMs = Math.min(MAX_CRAWL_DELAY_MS, Number(value) * 1000);
+        }
+    }
+    return groups;
+}
+
+// Groups naming our bot win over the * group.
+function rulesForAgent(groups) {
+    const token = CRAWLER_BOT_NAME.toLowerCase();
+    const own = groups.filter((group) => group.agents.some((agent) => agent !== "*" && token.includes(agent)));
+    const chosen = own.length > 0 ? own : groups.filter((group) => group.agents.includes("*"));
+    return {
+        rules: chosen.flatMap((group) => group.rules),
+        crawlDelayMs: chosen.reduce((max, group) => Math.max(max, group.crawlDelayMs || 0), 0) || null
+    };
+}
+
+// Longest matching pattern decides; Allow wins ties.
+function isPathAllowed(rules, pathWithQuery) {
+    let best = null;
+    for (const rule of rules) {
+        if (!rule.regex.test(pathWithQuery)) continue;
+        if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+            best = rule;
+        }
+    }
+    return best ? best.allow : true;
+}
+
+async function loadRobots(origin) {
+    try {
+        const response = await axios.get(`${origin}/robots.txt`, {
+            timeout: ROBOTS_TIMEOUT_MS,
+            maxRedirects: 5,
+            responseType: "text",
+            headers: { "User-Agent": CRAWLER_USER_AGENT },
+            validateStatus: () => true
+        });
+        if (response.status >= 200 && response.status < 300 && typeof response.data === "string") {
+            return rulesForAgent(parseRobotsRules(response.data));
+        }
+    } catch (error) {
+        console.log(`[Fetch] robots.txt unavailable for ${origin}: ${error.message}`);
+    }
+    // Missing or unreachable robots.txt: everything allowed.
+    return { rules: [], crawlDelayMs: null };
+}
+
+function getRobots(origin) {
+    sweepIdleState();
+    const cached = robotsCache.get(origin);
+    if (cached && Date.now() - cached.loadedAt < ROBOTS_TTL_MS) return cached.promise;
+    const promise = loadRobots(origin);
+    robotsCache.set(origin, { loadedAt: Date.now(), promise });
+    return promise;
+}
+
+/**
+ * Whether robots.txt lets our user agent fetch this URL (always true with CRAWLER_RESPECT_ROBOTS=false).
+ */
+async function isAllowedByRobots(url) {
+    if (!RESPECT_ROBOTS) return true;
+    const parsed = new URL(url);
+    if (parsed.pathname === "/robots.txt") return true;
+    const { rules } = await getRobots(parsed.origin);
+    return isPathAllowed(rules, `${parsed.pathname}${parsed.search}`);
+}
+
+// ============================================
+// PER-HOST LIMITS
+// ============================================
+
+function getHostState(hostname) {
+    sweepIdleState();
+    if (!hosts.has(hostname)) {
+        hosts.set(hostname, {
+            active: 0,
+            queue: [],
+            nextStartAt: 0,
+            intervalMs: MIN_INTERVAL_MS,
+            timer: null,
+            lastUsedAt: Date.now()
+        });
+    }
+    return hosts.get(hostname);
+}
+
+function pumpHost(state) {
+    while (state.queue.length > 0 && state.active < MAX_PER_HOST) {
+        const waitMs = state.nextStartAt - Date.now();
+        if (waitMs > 0) {
+            if (!state.timer) {
+                state.timer = setTimeout(() => {
+                    state.timer = null;
+                    pumpHost(state);
+                }, waitMs);
+            }
+            return;
+        }
+        state.active += 1;
+        state.lastUsedAt = Date.now();
+        state.nextStartAt = state.lastUsedAt + state.intervalMs;
+        state.queue.shift()();
+    }
+}
+
+function acquireHost(state) {
+    return new Promise((resolve) => {
+        state.queue.push(resolve);
+        pumpHost(state);
+    });
+}
+
+function releaseHost(state) {
+    state.active -= 1;
+    pumpHost(state);
+}
+
+// ============================================
+// CONDITIONAL REQUEST CACHE
+// ============================================
+
+function rememberResponse(key, response) {
+    const etag = response.headers?.etag || null;
+    const lastModified = response.headers?.["last-modified"] || null;
+    if (!etag && !lastModified) return;
+    if (typeof response.data !== "string") return;
+    const size = Buffer.byteLength(response.data);
+    if (size > RESPONSE_CACHE_MAX_ENTRY_BYTES) return;
+
+    forgetResponse(key);
+    responseCache.set(key, { etag, lastModified, status: response.status, headers: response.headers, data: response.data, size });
+    responseCacheBytes += size;
+    // Map keeps insertion order: evict oldest first.
+    for (const [oldKey] of responseCache) {
+        if (responseCacheBytes <= RESPONSE_CACHE_MAX_BYTES) break;
+        forgetResponse(oldKey);
+    }
+}
+
+function forgetResponse(key) {
+    const entry = responseCache.get(key);
+    if (!entry) return;
+    responseCacheBytes -= entry.size;
+    responseCache.delete(key);
+}
+
+// ============================================
+// FETCH
+// ============================================
+
+function statusError(url, response) {
+    const error = new Error(`Request failed with status code ${response.status}`);
+    error.status = response.status;
+    error.response = { status: response.status, headers: response.headers, data: response.data };
+    error.url = url;
+    return error;
+}
+
+function retryDelayMs(attempt, response) {
+    const retryAfter = response?.headers?.["retry-after"];
+    if (retryAfter !== undefined) {
+        const seconds = Number(retryAfter);
+        const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+        if (Number.isFinite(ms) && ms >= 0) return Math.min(MAX_BACKOFF_MS, ms);
+    }
+    const jitter = Math.random() * BACKOFF_BASE_MS;
+    return Math.min(MAX_BACKOFF_MS, BACKOFF_BASE_MS * 2 ** attempt + jitter);
+}
+
+/**
+ * Fetch a URL through the polite layer.
+ * @param {string} url
+ * @param {object} [options]
+ * @param {'GET'|'HEAD'} [options.method]
+ * @param {number} [options.timeoutMs] - Per attempt
+ * @param {number} [options.retries] - Extra attempts on 429/5xx/connection resets
+ * @param {number} [options.maxRedirects]
+ * @param {string} [options.responseType] - axios responseType (arraybuffer skips the revalidation cache)
+ * @param {(status: number) => boolean} [options.validateStatus] - Success statuses (default 2xx)
+ * @param {boolean} [options.respectRobots] - Override CRAWLER_RESPECT_ROBOTS for this call
+ * @returns {Promise<{ status, headers, data, url, fromCache }>}
+ */
+async function politeFetch(url, {
+    method = "GET",
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    maxRedirects = 5,
+    responseType,
+    validateStatus = (status) => status >= 200 && status < 300,
+    respectRobots = RESPECT_ROBOTS
+} = {}) {
+    const parsed = new URL(url);
+    const state = getHostState(parsed.hostname.toLowerCase());
+
+    if (respectRobots) {
+        const robots = await getRobots(parsed.origin);
+        // Follows the current robots.txt both ways: a removed or shorter Crawl-delay lowers the spacing again.
+        state.intervalMs = Math.max(MIN_INTERVAL_MS, robots.crawlDelayMs || 0);
+        if (parsed.pathname !== "/robots.txt" && !isPathAllowed(robots.rules, `${parsed.pathname}${parsed.search}`)) {
+            const error = new Error(`Blocked by robots.txt: ${url}`);
+            error.code = "ROBOTS_DISALLOWED";
+            error.url = url;
+            throw error;
+        }
+    }
+
+    const cacheKey = method === "GET" && responseType !== "arraybuffer" ? url : null;
+    for (let attempt = 0; ; attempt++) {
+        const cached = cacheKey ? responseCache.get(cacheKey) : null;
+        const headers = { "User-Agent": CRAWLER_USER_AGENT };
+        if (cached?.etag) headers["If-None-Match"] = cached.etag;
+        if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+        let response = null;
+        let networkError = null;
+        await acquireHost(state);
+        try {
+            response = await axios.request({
+                url,
+                method,
+                timeout: timeoutMs,
+                maxRedirects,
+                responseType,
+                headers,
+                validateStatus: () => true
+            });
+        } catch (error) {
+            networkError = error;
+        } finally {
+            releaseHost(state);
+        }
+
+        if (response?.status === 304 && cached) {
+            return { status: cached.status, headers: cached.headers, data: cached.data, url, fromCache: true };
+        }
+        if (response && validateStatus(response.status)) {
+            if (cacheKey && response.status === 200) rememberResponse(cacheKey, response);
+            return { status: response.status, headers: response.headers, data: response.data, url, fromCache: false };
+        }
+
+        const retryable = response ? RETRYABLE_STATUSES.has(response.status) : RETRYABLE_CODES.has(networkError?.code);
+        if (!retryable || attempt >= retries) {
+            throw networkError || statusError(url, response);
+        }
+        const delayMs = retryDelayMs(attempt, response);
+        console.log(`[Fetch] ${response ? response.status : networkError.code} from ${parsed.hostname}, retry ${attempt + 1}/${retries} in ${Math.round(delayMs)}ms`);
+        await sleep(delayMs);
+    }
+}
+
+function politeGet(url, options = {}) {
+    return politeFetch(url, { ...options, method: "GET" });
+}
+
+/**
+ * HEAD request; servers that reject HEAD (405/501) are retried once as GET.
+ */
+async function politeHead(url, options = {}) {
+    try {
+        return await politeFetch(url, { ...options, method: "HEAD" });
+    } catch (error) {
+        if (error.status === 405 || error.status === 501) {
+            return politeFetch(url, { ...options, method: "GET" });
+        }
+        throw error;
+    }
+}
+
+function getFetchStats() {
+    return {
+        userAgent: CRAWLER_USER_AGENT,
+        respectRobots: RESPECT_ROBOTS,
+        maxPerHost: MAX_PER_HOST,
+        hostsTracked: hosts.size,
+        robotsCached: robotsCache.size,
+        cachedResponses: responseCache.size,
+        cachedBytes: responseCacheBytes
+    };
+}
+
+module.exports = {
+    CRAWLER_USER_AGENT,
+    politeGet,
+    politeHead,
+    isAllowedByRobots,
+    getFetchStats
+};
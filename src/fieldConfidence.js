@@ -0,0 +1,270 @@
+/**
+ * Per-field confidence for research output.
+ * Each top-level field gets a 0..1 score and a verification status from three signals:
+ *   - structural: did scrapeStructuralData find the same fact on the live site
+ *     (true / false when the relevant page was scraped, null when there is nothing to compare)
+ *   - citations: provider citation URLs captured for the field (result.sources)
+ *   - providers: in consensus mode, how many providers returned the field and whether they agreed
+ * The model's overall `confidence` string only sets the starting score.
+ *
+ * Output shape: { [field]: { score, level, status, signals: { structural, citations, providers, conflict } } }
+ * status: verified | cited | corroborated | unverified | conflicting | missing
+ */
+
+const FIELD_CONFIDENCE_MIN_SCORE = 0.45;
+
+const SCORED_FIELDS = [
+    'about', 'usp', 'icp', 'tone', 'industry', 'niche', 'productModel',
+    'yearFounded', 'headquarters', 'teamSize', 'activeHours', 'funding',
+    'features', 'integrations', 'techStack', 'pricing', 'founders', 'compliance',
+    'reviews', 'caseStudies', 'notableCustomers', 'social', 'support', 'contact',
+    'limitations', 'commonObjections', 'blogTopics', 'segments', 'partnerships',
+    'competitors'
+];
+
+const BASE_SCORE_BY_CONFIDENCE = { high: 0.6, medium: 0.5, low: 0.3 };
+const UNKNOWN_CONFIDENCE_BASE = 0.4;
+const STRUCTURAL_BONUS = 0.3;
+const CITATION_BONUS = 0.2;
+const AGREEMENT_BONUS = 0.1;
+const CONFLICT_PENALTY = 0.3;
+
+// Objects count as empty when every key is empty (normalized social/profile placeholders).
+function isEmptyValue(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.values(value).every(isEmptyValue);
+    return false;
+}
+
+// ============================================
+// TEXT MATCHING
+// ============================================
+
+function normalizeText(value) {
+    return String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function significantWords(value) {
+    return new Set(normalizeText(value).split(' ').filter((word) => word.length >= 4));
+}
+
+/**
+ * Loose match between two short phrases: containment either way, or 2+ shared words of 4+ chars.
+ */
+function phrasesMatch(a, b) {
+    const left = normalizeText(a);
+    const right = normalizeText(b);
+    if (left.length < 2 || right.length < 2) return false;
+    if (left.includes(right) || right.includes(left)) return true;
+    const rightWords = significantWords(right);
+    let shared = 0;
+    for (const word of significantWords(left)) {
+        if (rightWords.has(word)) shared += 1;
+        if (shared >= 2) return true;
+    }
+    return false;
+}
+
+/**
+ * Flatten a field value to comparable phrases (strings, object names/titles, tier names,
+ * grouped feature items).
+ */
+function valueToPhrases(value) {
+    if (isEmptyValue(value)) return [];
+    if (Array.isArray(value)) return value.flatMap(valueToPhrases);
+    if (typeof value === 'object') {
+        const labels = [value.name, value.tier, value.title, value.category, value.label, value.value]
+            .filter((item) => typeof item === 'string' && item.trim());
+        return Array.isArray(value.items) ? [...labels, ...value.items.flatMap(valueToPhrases)] : labels;
+    }
+    return [String(value)];
+}
+
+// ============================================
+// STRUCTURAL CONFIRMATION
+// ============================================
+
+function scrapedPage(structuralData, page) {
+    return structuralData?.page_results?.[page] === 'success';
+}
+
+// Scraped phrases per claim-checked field, or null when the scrape doesn't cover the field.
+// claimVerification checks claims against the same evidence, so both agree on what was checkable.
+const SCRAPED_EVIDENCE = {
+    compliance: {
+        source: '/security',
+        collect: (data) => (scrapedPage(data, 'security') ? data.compliance_mentions || [] : null)
+    },
+    integrations: {
+        source: '/integrations',
+        collect: (data) => (scrapedPage(data, 'integrations') && data.integrations_mentioned?.length ? data.integrations_mentioned : null)
+    },
+    features: {
+        source: 'features/home pages',
+        collect: (data) => {
+            const scraped = [...(data.features || []), ...(data.value_props || [])];
+            return scraped.length > 0 ? scraped : null;
+        }
+    },
+    // Plan names; /pricing counts as covered when it yielded plan names or prices.
+    pricing: {
+        source: '/pricing',
+        collect: (data) => (scrapedPage(data, 'pricing') && (data.pricing_plans?.length || data.pricing_prices?.length) ? data.pricing_plans || [] : null)
+    }
+};
+
+/**
+ * What the structural scrape says about a field, for fields checked claim by claim.
+ * @returns {{source: string, items: string[]}|null} null when the scrape can't say
+ */
+function getScrapedEvidence(field, structuralData) {
+    const evidence = SCRAPED_EVIDENCE[field];
+    if (!evidence || !structuralData) return null;
+    const items = evidence.collect(structuralData);
+    return items ? { source: evidence.source, items: items.filter(Boolean) } : null;
+}
+
+function anyPhraseMatches(value, scraped) {
+    const claimed = valueToPhrases(value);
+    const found = (scraped || []).filter(Boolean);
+    return claimed.some((phrase) => found.some((item) => phrasesMatch(phrase, item)));
+}
+
+function matchScrapedEvidence(field, value, data) {
+    const evidence = getScrapedEvidence(field, data);
+    return evidence ? anyPhraseMatches(value, evidence.items) : null;
+}
+
+// Returns true/false when the scrape covered the field, null when it can't say.
+const STRUCTURAL_CHECKS = {
+    compliance: (value, data) => matchScrapedEvidence('compliance', value, data),
+    integrations: (value, data) => matchScrapedEvidence('integrations', value, data),
+    features: (value, data) => matchScrapedEvidence('features', value, data),
+    // Prices alone can't confirm tier names; claimVerification checks them tier by tier.
+    pricing: (value, data) => (getScrapedEvidence('pricing', data)?.items.length ? matchScrapedEvidence('pricing', value, data) : null),
+    industry: (value, data) => (data.industries?.length ? anyPhraseMatches(value, data.industries) : null),
+    icp: (value, data) => (data.industries?.length ? anyPhraseMatches(value, data.industries) : null),
+    segments: (value, data) => (data.industries?.length ? anyPhraseMatches(value, data.industries) : null),
+    about: (value, data) => keywordOverlap(value, data),
+    usp: (value, data) => keywordOverlap(value, data),
+    niche: (value, data) => keywordOverlap(value, data)
+};
+
+// Free-text fields: confirmed when 2+ homepage keywords/headline words appear in the claim.
+function keywordOverlap(value, data) {
+    const siteWords = new Set([
+        ...(data.keywords || []),
+        ...significantWords(data.headline),
+        ...significantWords(data.subheadline)
+    ]);
+    if (siteWords.size === 0) return null;
+    let shared = 0;
+    for (const word of significantWords(valueToPhrases(value).join(' '))) {
+        if (siteWords.has(word)) shared += 1;
+    }
+    return shared >= 2;
+}
+
+function structuralSignal(field, value, structuralData) {
+    const check = STRUCTURAL_CHECKS[field];
+    if (!check || !structuralData) return null;
+    return check(value, structuralData);
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+function levelForScore(score) {
+    if (score >= 0.7) return 'high';
+    if (score >= FIELD_CONFIDENCE_MIN_SCORE) return 'medium';
+    return 'low';
+}
+
+function roundScore(value) {
+    return Math.round(Math.min(1, Math.max(0, value)) * 100) / 100;
+}
+
+/**
+ * Score every top-level field of a research result.
+ * @param {object} result - Provider or normalized research output
+ * @param {object} [context]
+ * @param {object|null} [context.structuralData] - scrapeStructuralData output
+ * @param {object|null} [context.agreement] - Consensus { [field]: { providers, agreed } }
+ * @returns {object} { [field]: { score, level, status, signals } }
+ */
+function scoreFieldConfidence(result, { structuralData = null, agreement = null } = {}) {
+    if (!result || typeof result !== 'object') return {};
+    const base = BASE_SCORE_BY_CONFIDENCE[String(result.confidence || '').toLowerCase()] ?? UNKNOWN_CONFIDENCE_BASE;
+    const sources = result.sources && typeof result.sources === 'object' ? result.sources : {};
+    const conflicts = result.conflicts && typeof result.conflicts === 'object' ? result.conflicts : {};
+    const scores = {};
+
+    for (const field of SCORED_FIELDS) {
+        const value = result[field];
+        const citations = Array.isArray(sources[field]) ? sources[field].length : 0;
+        const conflict = Boolean(conflicts[field]);
+        const providers = agreement?.[field]?.providers ?? null;
+        const agreed = Boolean(agreement?.[field]?.agreed) && !conflict;
+
+        if (isEmptyValue(value)) {
+            scores[field] = {
+                score: 0,
+                level: 'low',
+                status: 'missing',
+                signals: { structural: null, citations, providers, conflict }
+            };
+            continue;
+        }
+
+        const structural = structuralSignal(field, value, structuralData);
+        let score = base;
+        if (structural === true) score += STRUCTURAL_BONUS;
+        if (citations > 0) score += CITATION_BONUS;
+        if (agreed) score += AGREEMENT_BONUS;
+        if (conflict) score -= CONFLICT_PENALTY;
+
+        let status = 'unverified';
+        if (conflict) status = 'conflicting';
+        else if (structural === true) status = 'verified';
+        else if (citations > 0) status = 'cited';
+        else if (agreed) status = 'corroborated';
+
+        const rounded = roundScore(score);
+        scores[field] = {
+            score: rounded,
+            level: levelForScore(rounded),
+            status,
+            signals: { structural, citations, providers, conflict }
+        };
+    }
+    return scores;
+}
+
+/**
+ * Field scores attached to the result, or scored on the fly from what the result carries.
+ */
+function getFieldConfidence(result, context = {}) {
+    if (result?.fieldConfidence && typeof result.fieldConfidence === 'object') return result.fieldConfidence;
+    return scoreFieldConfidence(result, context);
+}
+
+function isFieldConfident(fieldConfidence, field) {
+    const entry = fieldConfidence?.[field];
+    return Boolean(entry) && entry.status !== 'missing' && entry.score >= FIELD_CONFIDENCE_MIN_SCORE;
+}
+
+module.exports = {
+    FIELD_CONFIDENCE_MIN_SCORE,
+    SCORED_FIELDS,
+    scoreFieldConfidence,
+    getFieldConfidence,
+    getScrapedEvidence,
+    isFieldConfident,
+    isEmptyValue,
+    normalizeText,
+    phrasesMatch,
+    valueToPhrases
+};
@@ -1,16 +1,54 @@
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
-const { researchDomain, researchCompetitor, enrichDataReviewPostCall } = require('./aiService');
+const { researchDomain, researchCompetitor, enrichDataReviewPostCall, isConsensusModeEnabled } = require('./aiService');
 const { getBlogPosts, scrapeFullBlogContent } = require('./blogService');
+const { submitToAirtable, getClientsFromAirtable } = require('./airtableService');
 const {
-    submitToAirtable,
-    getClientsFromAirtable,
-    createOnboardingSession,
-    getOnboardingSessionByToken
-} = require('./airtableService');
+    SESSION_STATUS,
+    DRAFT_FIELDS,
+    createSession,
+    getSession,
+    updateSession,
+    completeSession,
+    revokeSession,
+    extendSession,
+    listSessions,
+    saveSessionDraft,
+    getEffectiveStatus,
+    isSessionOpen,
+    getSessionStoreName
+} = require('./sessionRepository');
 const { submitToNotion } = require('./notionService');
-require('dotenv').config();
+const { discoverSiteMetadata } = require('./sitemapService');
+const { createJob, getJob, serializeJob, JOB_STATUS } = require('./jobService');
+const { normalizeDomainForCache, withCache, isRefreshRequested } = require('./cacheService');
+const { describeProviders } = require('./providerRegistry');
+const { createUsageScope, queryUsage } = require('./usageService');
+const { isBudgetExceededError } = require('./budgetService');
+const { listPrompts, reloadPrompts, getPromptsLoadedAt, PROMPTS_DIR } = require('./promptRegistry');
+const { getExperimentReport } = require('./experimentService');
+const { getBrowserPoolStats } = require('./browserPool');
+const { getFetchStats } = require('./fetchService');
+const { diffClientCorrections } = require('./clientCorrections');
+const {
+    WEBHOOK_EVENTS,
+    emitWebhook,
+    queryWebhookDeliveries,
+    abandonPendingWebhookRetries,
+    describeWebhookSubscriptions
+} = require('./webhookService');
+const {
+    BATCH_MAX_DOMAINS,
+    parseDomainsFromCsv,
+    prepareDomainList,
+    clampConcurrency,
+    runBatch,
+    summarizeBatch,
+    buildBatchReportCsv
+} = require('./batchService');
 
 const app = express();
 app.use(cors());
@@ -18,42 +56,8 @@ app.use(express.json({ limit: '10mb' }));
 
 const PORT = process.env.PORT || 3000;
 const FORM_TOKEN_TTL_DAYS = Math.max(1, Number(process.env.FORM_TOKEN_TTL_DAYS || 3));
-const BLOG_CACHE_TTL_MS = 86_400_000;
 const BLOG_SCRAPE_TIMEOUT_MS = 6500;
-
-// In-memory store for form tokens (maps token -> domain)
-const formTokens = new Map();
-const blogCache = new Map();
-
-function normalizeDomainForCache(input) {
-    if (!input) return null;
-    try {
-        const withProtocol = /^https?:\/\//i.test(input) ? input : `https://${input}`;
-        const parsed = new URL(withProtocol);
-        return parsed.hostname.replace(/^www\./i, '').toLowerCase();
-    } catch {
-        return String(input)
-            .trim()
-            .toLowerCase()
-            .replace(/^https?:\/\//i, '')
-            .replace(/^www\./i, '')
-            .split('/')[0] || null;
-    }
-}
-
-function buildBlogCacheKey(domain, limit) {
-    const normalizedDomain = normalizeDomainForCache(domain) || String(domain || '').toLowerCase();
-    const normalizedLimit = Math.max(1, Number(limit) || 20);
-    return `${normalizedDomain}::${normalizedLimit}`;
-}
-
-function pruneExpiredBlogCache(now, ttlMs) {
-    for (const [key, value] of blogCache.entries()) {
-        if (!value?.cachedAt || (now - value.cachedAt) > ttlMs) {
-            blogCache.delete(key);
-        }
-    }
-}
+const SSE_HEARTBEAT_MS = 15000;
 
 function normalizeBlogInputUrl(rawUrl) {
     const trimmed = String(rawUrl || '').trim();
@@ -83,55 +87,219 @@ function deriveTitleFromUrl(url) {
     }
 }
 
-function createLatencyTracker(operation, domain = 'n/a') {
+/**
+ * @param {string} operation
+ * @param {string} domain
+ * @param {object} [options]
+ * @param {string} [options.usageDomain] - Domain AI costs are billed to (defaults to domain)
+ */
+function createLatencyTracker(operation, domain = 'n/a', { usageDomain = domain } = {}) {
     const startedAt = Date.now();
     const requestId = uuidv4().slice(0, 8);
+    const usage = createUsageScope({ requestId, operation, domain: usageDomain });
     return {
         requestId,
+        // Run AI work inside this request's usage scope so the ledger is tagged with requestId/domain.
+        run: usage.run,
+        usage: usage.totals,
         done: (status = 'ok', extra = {}) => {
             const latencyMs = Date.now() - startedAt;
-            console.log(`[METRICS] op=${operation} requestId=${requestId} domain=${domain} latencyMs=${latencyMs} status=${status} extra=${JSON.stringify(extra)}`);
+            const aiUsage = usage.totals.calls > 0
+                ? { ai_calls: usage.totals.calls, ai_tokens: usage.totals.inputTokens + usage.totals.outputTokens, ai_cost_usd: usage.totals.costUsd }
+                : {};
+            console.log(`[METRICS] op=${operation} requestId=${requestId} domain=${domain} latencyMs=${latencyMs} status=${status} extra=${JSON.stringify({ ...extra, ...aiUsage })}`);
         }
     };
 }
 
+// Draft clientData holds the edited form fields, which live under clientData.data on research results.
+function mergeDraftClientData(clientData, draftFields) {
+    if (!draftFields || Object.keys(draftFields).length === 0) return clientData;
+    if (!clientData) return { data: { ...draftFields } };
+    if (clientData.data && typeof clientData.data === 'object') {
+        return { ...clientData, data: { ...clientData.data, ...draftFields } };
+    }
+    return { ...clientData, ...draftFields };
+}
+
+/**
+ * Form data for an open session token (latest draft merged over the original payload),
+ * or null when the token is unknown, expired, revoked or already submitted.
+ * @returns {Promise<{source: string, session: object, tokenData: object}|null>}
+ */
 async function resolveTokenData(token) {
-    const memoryData = formTokens.get(token);
-    if (memoryData) {
-        const expiresAtMs = memoryData.expiresAt ? Date.parse(memoryData.expiresAt) : Number.NaN;
-        if (Number.isFinite(expiresAtMs) && Date.now() > expiresAtMs) {
-            formTokens.delete(token);
-        } else {
-            return { source: 'memory', tokenData: memoryData };
-        }
+    const session = await getSession(token);
+    if (!session || !isSessionOpen(session)) return null;
+
+    const payload = session.payload || {};
+    const draft = session.draft || {};
+    const tokenData = {
+        domain: session.domain,
+        clientName: session.clientName || session.domain,
+        clientData: mergeDraftClientData(payload.clientData || null, draft.clientData),
+        competitors: draft.competitors || payload.competitors || [],
+        competitorDetails: { ...(payload.competitorDetails || {}), ...(draft.compData || {}) },
+        blogPosts: payload.blogPosts || [],
+        likedPosts: draft.likedPosts || [],
+        customUrls: draft.customUrls || [],
+        elevenLabsData: draft.elevenLabsData || null,
+        formStatus: getEffectiveStatus(session),
+        draftSavedAt: session.draftSavedAt || null,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        clientRecordId: session.clientRecordId || null
+    };
+    return { source: getSessionStoreName(), session, tokenData };
+}
+
+async function createFormLink({ domain, clientName, clientData, competitors, competitorDetails, blogPosts }) {
+    const token = uuidv4();
+    const session = await createSession({
+        token,
+        domain,
+        clientName,
+        payload: {
+            clientData: clientData || null,
+            competitors: competitors || [],
+            competitorDetails: competitorDetails || {},
+            blogPosts: blogPosts || []
+        },
+        ttlDays: FORM_TOKEN_TTL_DAYS
+    });
+
+    emitWebhook('form.created', {
+        token,
+        domain,
+        clientName: session.clientName,
+        expiresAt: session.expiresAt
+    });
+    console.log(`[BTA] Form link created for ${domain} | token: ${token} | store: ${getSessionStoreName()} | ttlDays: ${FORM_TOKEN_TTL_DAYS} | clientData: ${clientData ? 'YES (' + Object.keys(clientData).join(',') + ')' : 'NO'} | competitors: ${(competitors || []).length} | competitorDetails: ${Object.keys(competitorDetails || {}).length} | blogPosts: ${(blogPosts || []).length}`);
+    return { token, session };
+}
+
+// Session fields for link management responses (the form payload stays out of listings)
+function serializeSession(session) {
+    return {
+        token: session.token,
+        domain: session.domain,
+        clientName: session.clientName,
+        status: getEffectiveStatus(session),
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        openedAt: session.openedAt || null,
+        completedAt: session.completedAt || null,
+        revokedAt: session.revokedAt || null,
+        replacedBy: session.replacedBy || null,
+        draftSavedAt: session.draftSavedAt || null,
+        clientRecordId: session.clientRecordId || null,
+        updatedAt: session.updatedAt || null
+    };
+}
+
+// Submission already reached Airtable, so a failed status write is logged rather than surfaced.
+async function markSessionCompleted(token, clientRecordId, corrections = null) {
+    try {
+        await completeSession(token, { clientRecordId, corrections });
+    } catch (error) {
+        console.warn(`[BTA] Failed to mark form session ${token} completed: ${error.message}`);
     }
+}
 
-    const persisted = await getOnboardingSessionByToken(token);
-    if (!persisted) return null;
+function emitResearchCompleted(domain, response, source, requestId, cacheHit = false) {
+    emitWebhook('research.completed', {
+        domain,
+        name: response.name,
+        source,
+        requestId,
+        cacheHit,
+        competitors: (response.competitors || []).map((competitor) => competitor.domain || competitor.name).filter(Boolean)
+    });
+}
 
-    const session = persisted.session || {};
-    const persistedExpiresAtMs = session.expiresAt ? Date.parse(session.expiresAt) : Number.NaN;
-    if (Number.isFinite(persistedExpiresAtMs) && Date.now() > persistedExpiresAtMs) {
-        return null;
+/**
+ * voice.interview_finished once per session (drafts and submits can both carry the finished call).
+ * Without a session (dashboard submit without a form token) it fires for every submit that has a finished call.
+ */
+async function noteVoiceInterview(session, domain, elevenLabsData) {
+    if (!elevenLabsData?.completed || session?.voiceFinishedAt) return;
+    if (session) {
+        try {
+            await updateSession(session.token, { voiceFinishedAt: new Date().toISOString() });
+        } catch (error) {
+            console.warn(`[BTA] Failed to record voice interview on session ${session.token}: ${error.message}`);
+        }
     }
-    if (String(session.status || '').toUpperCase() === 'COMPLETED') {
-        return null;
+    emitWebhook('voice.interview_finished', {
+        token: session?.token || null,
+        domain,
+        durationSeconds: elevenLabsData.duration || 0,
+        messages: Array.isArray(elevenLabsData.transcript) ? elevenLabsData.transcript.length : 0
+    });
+}
+
+// Lifecycle webhooks shared by the client form submit and the dashboard submit
+async function emitSubmitWebhooks({ source, session, domain, airtableResult, notionError, corrections = null, elevenLabsData }) {
+    emitWebhook('airtable.saved', {
+        source,
+        token: session?.token || null,
+        domain,
+        recordId: airtableResult.recordId,
+        operation: airtableResult.operation,
+        verified: airtableResult.verified
+    });
+    if (notionError) {
+        emitWebhook('notion.sync_failed', { source, token: session?.token || null, domain, recordId: airtableResult.recordId, error: notionError });
     }
+    if (session) {
+        emitWebhook('form.submitted', {
+            source,
+            token: session.token,
+            domain,
+            recordId: airtableResult.recordId,
+            corrections: corrections?.summary || null
+        });
+    }
+    await noteVoiceInterview(session, domain, elevenLabsData);
+}
 
-    const payload = persisted.formPayload || {};
-    const tokenData = {
-        domain: payload.domain || persisted.domain,
-        clientName: payload.clientName || persisted.clientName || persisted.domain,
-        clientData: payload.clientData || null,
-        competitors: payload.competitors || [],
-        competitorDetails: payload.competitorDetails || {},
-        blogPosts: payload.blogPosts || [],
-        createdAt: session.createdAt || new Date().toISOString(),
-        expiresAt: session.expiresAt || null,
-        persistedRecordId: persisted.recordId
+function writeSseEvent(res, event, data) {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+function buildOnboardResponse(domain, result) {
+    const { data: aiData, competitors: detectedCompetitors } = result;
+    const name = aiData.name || domain.replace(/\.(com|io|net|org).*/, '');
+    return {
+        domain,
+        name: name.charAt(0).toUpperCase() + name.slice(1),
+        status: 'success',
+        data: aiData,
+        competitors: detectedCompetitors,
+        blogPosts: [],
+        ...(result.consensus ? { consensus: result.consensus } : {}),
+        ...(result.budget ? { budget: result.budget } : {}),
+        ...(result.experiment ? { experiment: result.experiment } : {})
     };
-    formTokens.set(token, tokenData);
-    return { source: 'airtable', tokenData };
+}
+
+// 402 response naming the spend guardrail that refused the request
+function sendBudgetExceeded(res, tracker, error) {
+    tracker.done('budget_exceeded', { guardrail: error.guardrail.name, error: error.message });
+    return res.status(402).json({ error: 'Budget exceeded', guardrail: error.guardrail, details: error.message });
+}
+
+// ?consensus=true|false (or body.consensus) overrides AI_CONSENSUS_MODE for one request
+function isConsensusRequested(req) {
+    const raw = req.query?.consensus ?? req.body?.consensus;
+    if (raw === undefined || raw === null || raw === '') return isConsensusModeEnabled();
+    return String(raw).toLowerCase() === 'true';
+}
+
+// Results cut short by a budget guardrail are returned but not cached, so the next run can complete them.
+function isCacheableResearch(result) {
+    return !result?.budget;
 }
 
 // ============================================
@@ -145,44 +313,243 @@ app.post('/api/onboard', async (req, res) => {
     try {
         console.log(`[BTA] Researching: ${domain}`);
 
-        const result = await researchDomain(domain);
+        const consensus = isConsensusRequested(req);
+        const { value: result, cache } = await withCache(
+            'research',
+            domain,
+            consensus ? 'client:consensus' : 'client',
+            { refresh: isRefreshRequested(req), shouldCache: isCacheableResearch },
+            () => tracker.run(() => researchDomain(domain, { consensus }))
+        );
 
         if (!result) {
             throw new Error("AI research failed.");
         }
 
-        const { data: aiData, competitors: detectedCompetitors, timings = {} } = result;
+        const { timings = {} } = result;
         const shouldFindBlogs = String(findBlogs).toLowerCase() !== 'false';
-        const blogPosts = [];
         if (shouldFindBlogs) {
             console.log(`[BTA] findBlogs=true received, but blog search is deferred until competitor research is completed.`);
         }
 
-        console.log(`[BTA] Returning ${detectedCompetitors.length} competitors`);
+        const response = buildOnboardResponse(domain, result);
+        console.log(`[BTA] Returning ${response.competitors.length} competitors`);
 
-        const name = aiData.name || domain.replace(/\.(com|io|net|org).*/, '');
-
-        res.json({
-            domain,
-            name: name.charAt(0).toUpperCase() + name.slice(1),
-            status: 'success',
-            data: aiData,
-            competitors: detectedCompetitors,
-            blogPosts
-        });
+        res.json({ ...response, cache });
+        emitResearchCompleted(domain, response, 'onboard', tracker.requestId, cache.hit);
         tracker.done('ok', {
-            competitors: detectedCompetitors.length,
-            blogs: blogPosts.length,
+            competitors: response.competitors.length,
+            blogs: response.blogPosts.length,
             findBlogs: shouldFindBlogs,
-            ...timings
+            cache_hit: cache.hit,
+            cache_age_ms: cache.ageMs,
+            ...(cache.hit ? {} : timings)
         });
     } catch (error) {
+        if (isBudgetExceededError(error)) return sendBudgetExceeded(res, tracker, error);
         console.error('[BTA] Error:', error.message);
         tracker.done('error', { error: error.message });
         res.status(500).json({ error: 'Failed to research domain', details: error.message });
     }
 });
 
+// ============================================
+// 1b. ONBOARD JOBS: Research a domain in the background, poll for progress
+// ============================================
+app.post('/api/onboard/jobs', (req, res) => {
+    const { domain } = req.body || {};
+    if (!domain) return res.status(400).json({ error: 'Domain is required' });
+
+    const consensus = isConsensusRequested(req);
+    const job = createJob('onboard', { domain, consensus }, async ({ job, reportEvent }) => {
+        const tracker = createLatencyTracker('onboard_job', domain);
+        try {
+            console.log(`[BTA] Researching (job ${job.id}): ${domain}`);
+            const result = await tracker.run(() => researchDomain(domain, { consensus, onEvent: reportEvent }));
+            if (!result) {
+                throw new Error("AI research failed.");
+            }
+            const response = buildOnboardResponse(domain, result);
+            emitResearchCompleted(domain, response, 'job', tracker.requestId);
+            tracker.done('ok', { jobId: job.id, competitors: response.competitors.length, ...result.timings });
+            return response;
+        } catch (error) {
+            tracker.done('error', { jobId: job.id, error: error.message });
+            throw error;
+        }
+    });
+
+    res.status(202).json({
+        status: 'accepted',
+        jobId: job.id,
+        statusUrl: `/api/onboard/jobs/${job.id}`
+    });
+});
+
+app.get('/api/onboard/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found or expired' });
+    res.json({ status: 'success', job: serializeJob(job) });
+});
+
+// ============================================
+// 1c. ONBOARD STREAM: Research a domain with live Server-Sent Events
+// Events: started, stage, provider_succeeded, provider_failed, provider_fallback, consensus, circuit_breaker, result, failed
+// (not `error`, which EventSource also fires on connection drops). Optional stages stop once the client disconnects.
+// ============================================
+app.get('/api/onboard/stream', async (req, res) => {
+    const domain = String(req.query.domain || '').trim();
+    if (!domain) return res.status(400).json({ error: 'Domain is required' });
+    const tracker = createLatencyTracker('onboard_stream', domain);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let clientClosed = false;
+    const heartbeat = setInterval(() => {
+        if (!res.writableEnded) res.write(': heartbeat\n\n');
+    }, SSE_HEARTBEAT_MS);
+    res.on('close', () => {
+        clientClosed = true;
+        clearInterval(heartbeat);
+    });
+
+    writeSseEvent(res, 'started', { domain, requestId: tracker.requestId });
+
+    try {
+        console.log(`[BTA] Researching (stream): ${domain}`);
+        const result = await tracker.run(() => researchDomain(domain, {
+            consensus: isConsensusRequested(req),
+            isCancelled: () => clientClosed,
+            onEvent: (event) => {
+                if (!clientClosed) writeSseEvent(res, event.type, event);
+            }
+        }));
+        if (!result) {
+            throw new Error("AI research failed.");
+        }
+        const response = buildOnboardResponse(domain, result);
+        writeSseEvent(res, 'result', response);
+        emitResearchCompleted(domain, response, 'stream', tracker.requestId);
+        tracker.done('ok', { competitors: response.competitors.length, clientClosed, ...result.timings });
+    } catch (error) {
+        console.error('[BTA] Stream research error:', error.message);
+        writeSseEvent(res, 'failed', {
+            error: isBudgetExceededError(error) ? 'Budget exceeded' : 'Failed to research domain',
+            details: error.message,
+            ...(isBudgetExceededError(error) ? { guardrail: error.guardrail } : {})
+        });
+        tracker.done('error', { error: error.message, clientClosed });
+    } finally {
+        clearInterval(heartbeat);
+        res.end();
+    }
+});
+
+// ============================================
+// 1d. ONBOARD BATCH: Research a JSON array or CSV list of domains
+// JSON: { domains: [...] | csv: "...", concurrency, createFormLinks }
+// CSV:  Content-Type: text/csv body, options via ?concurrency=&createFormLinks=
+// ============================================
+app.post('/api/onboard/batch', express.text({ type: ['text/csv', 'application/csv', 'text/plain'], limit: '2mb' }), (req, res) => {
+    const isCsvUpload = typeof req.body === 'string';
+    const options = isCsvUpload ? (req.query || {}) : (req.body || {});
+
+    let rawDomains = [];
+    if (isCsvUpload) {
+        rawDomains = parseDomainsFromCsv(req.body);
+    } else if (Array.isArray(options.domains)) {
+        rawDomains = options.domains;
+    } else if (typeof options.domains === 'string' || typeof options.csv === 'string') {
+        rawDomains = parseDomainsFromCsv(options.csv || options.domains);
+    }
+
+    const { domains, invalid } = prepareDomainList(rawDomains, normalizeDomainForCache);
+    if (domains.length === 0) {
+        return res.status(400).json({ error: 'At least one valid domain is required', invalid });
+    }
+    if (domains.length > BATCH_MAX_DOMAINS) {
+        return res.status(400).json({ error: `Batch is limited to ${BATCH_MAX_DOMAINS} domains`, received: domains.length });
+    }
+
+    const concurrency = clampConcurrency(options.concurrency);
+    const shouldCreateFormLinks = String(options.createFormLinks || 'false').toLowerCase() === 'true';
+
+    const job = createJob('onboard_batch', { domains, invalid, concurrency, createFormLinks: shouldCreateFormLinks }, async ({ job, reportEvent }) => {
+        const tracker = createLatencyTracker('onboard_batch', `${domains.length} domains`, { usageDomain: null });
+        const items = await tracker.run(() => runBatch(domains, {
+            concurrency,
+            researchOne: async (domain) => {
+                // Per-domain scope so each client's costs are tagged with its own domain.
+                const result = await createUsageScope({ domain }).run(() => researchDomain(domain));
+                if (!result) {
+                    throw new Error("AI research failed.");
+                }
+                return buildOnboardResponse(domain, result);
+            },
+            createFormLinkFor: shouldCreateFormLinks
+                ? (domain, response) => createFormLink({
+                    domain,
+                    clientName: response.name,
+                    clientData: response,
+                    competitors: response.competitors
+                })
+                : null,
+            onItemDone: (item, done) => reportEvent({
+                type: 'batch_item',
+                domain: item.domain,
+                status: item.status,
+                error: item.error,
+                done,
+                total: domains.length
+            })
+        }));
+        const summary = summarizeBatch(items);
+        tracker.done('ok', { jobId: job.id, ...summary });
+        return { summary, invalid, items };
+    });
+
+    res.status(202).json({
+        status: 'accepted',
+        jobId: job.id,
+        domains: domains.length,
+        invalid,
+        concurrency,
+        createFormLinks: shouldCreateFormLinks,
+        statusUrl: `/api/onboard/batch/${job.id}`,
+        reportUrl: `/api/onboard/batch/${job.id}/report`
+    });
+});
+
+app.get('/api/onboard/batch/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job || job.kind !== 'onboard_batch') return res.status(404).json({ error: 'Batch not found or expired' });
+    res.json({ status: 'success', job: serializeJob(job, { includeResult: false }), summary: job.result?.summary || null });
+});
+
+app.get('/api/onboard/batch/:id/report', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job || job.kind !== 'onboard_batch') return res.status(404).json({ error: 'Batch not found or expired' });
+    if (job.status !== JOB_STATUS.COMPLETED) {
+        return res.status(409).json({ error: 'Batch report not ready', jobStatus: job.status, details: job.error || null });
+    }
+
+    const format = String(req.query.format || 'json').toLowerCase();
+    const filename = `onboard-batch-${job.id.slice(0, 8)}`;
+    if (format === 'csv') {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        return res.send(buildBatchReportCsv(job.result.items));
+    }
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json({ status: 'success', jobId: job.id, completedAt: job.completedAt, ...job.result });
+});
+
 // ============================================
 // 2. BLOGS: Find blog posts via AI (replaces scraper)
 // ============================================
@@ -190,40 +557,25 @@ app.post('/api/blogs', async (req, res) => {
     const { domain, limit = 20 } = req.body;
     if (!domain) return res.status(400).json({ error: 'Domain is required' });
     const tracker = createLatencyTracker('blogs', domain);
-    const ttlMs = BLOG_CACHE_TTL_MS;
-    const cacheKey = buildBlogCacheKey(domain, limit);
-    const now = Date.now();
-
-    pruneExpiredBlogCache(now, ttlMs);
+    const normalizedLimit = Math.max(1, Number(limit) || 20);
 
     try {
         console.log(`[BTA] Finding blog posts for: ${domain}`);
-        const cached = blogCache.get(cacheKey);
-        if (cached && Array.isArray(cached.blogPosts) && (now - cached.cachedAt) <= ttlMs) {
-            const cacheAgeMs = now - cached.cachedAt;
-            console.log(`[BTA] Blog cache hit for ${domain} | key=${cacheKey} | ageMs=${cacheAgeMs}`);
-            res.json({
-                domain,
-                status: 'success',
-                count: cached.blogPosts.length,
-                blogPosts: cached.blogPosts,
-                cache: { hit: true, ageMs: cacheAgeMs }
-            });
-            tracker.done('ok', { count: cached.blogPosts.length, cache_hit: true, cache_age_ms: cacheAgeMs });
-            return;
-        }
-
-        console.log(`[BTA] Blog cache miss for ${domain} | key=${cacheKey}`);
-        const blogPosts = await getBlogPosts(domain, limit);
-        blogCache.set(cacheKey, { blogPosts, cachedAt: Date.now() });
+        const { value: blogPosts, cache } = await withCache(
+            'blogs',
+            domain,
+            String(normalizedLimit),
+            { refresh: isRefreshRequested(req) },
+            () => tracker.run(() => getBlogPosts(domain, limit))
+        );
         res.json({
             domain,
             status: 'success',
             count: blogPosts.length,
             blogPosts,
-            cache: { hit: false, ageMs: 0 }
+            cache
         });
-        tracker.done('ok', { count: blogPosts.length, cache_hit: false, cache_miss: true, cache_age_ms: 0 });
+        tracker.done('ok', { count: blogPosts.length, cache_hit: cache.hit, cache_miss: !cache.hit, cache_age_ms: cache.ageMs });
     } catch (error) {
         console.error('[BTA] Blog error:', error.message);
         tracker.done('error', { error: error.message });
@@ -271,19 +623,33 @@ app.post('/api/blogs/manual', async (req, res) => {
 });
 
 // ============================================
-// 3. SITEMAP: Minimal response (no longer scraped)
+// 3. SITEMAP: robots.txt, sitemaps and llms.txt discovery
 // ============================================
 app.post('/api/sitemap', async (req, res) => {
     const { domain } = req.body;
     if (!domain) return res.status(400).json({ error: 'Domain is required' });
+    const normalizedDomain = normalizeDomainForCache(domain);
+    if (!normalizedDomain) return res.status(400).json({ error: 'Valid domain is required' });
+    const tracker = createLatencyTracker('sitemap', normalizedDomain);
 
-    res.json({
-        domain,
-        status: 'success',
-        llmsTxt: null,
-        sitemap: { sitemapUrl: null, totalUrls: 0, urls: [], categories: {} },
-        robotsTxt: { found: false, url: null, content: null },
-    });
+    try {
+        const discovered = await discoverSiteMetadata(normalizedDomain);
+        res.json({
+            domain,
+            status: 'success',
+            ...discovered
+        });
+        tracker.done('ok', {
+            robotsTxt: discovered.robotsTxt.found,
+            sitemapUrls: discovered.sitemap.totalUrls,
+            llmsTxt: Boolean(discovered.llmsTxt),
+            llmsFullTxt: Boolean(discovered.llmsFullTxt)
+        });
+    } catch (error) {
+        console.error('[BTA] Sitemap discovery error:', error.message);
+        tracker.done('error', { error: error.message });
+        res.status(500).json({ error: 'Failed to discover sitemap', details: error.message });
+    }
 });
 
 // ============================================
@@ -293,35 +659,14 @@ app.post('/api/form/create', async (req, res) => {
     const { domain, clientName, clientData, competitors, competitorDetails, blogPosts } = req.body;
     if (!domain) return res.status(400).json({ error: 'Domain is required' });
 
-    const token = uuidv4();
-    const tokenData = {
-        domain,
-        clientName: clientName || domain,
-        clientData: clientData || null,
-        competitors: competitors || [],
-        competitorDetails: competitorDetails || {},
-        blogPosts: blogPosts || [],
-        createdAt: new Date(),
-        expiresAt: new Date(Date.now() + FORM_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
-    };
     try {
-        const persisted = await createOnboardingSession({
-            token,
-            domain,
-            clientName: tokenData.clientName,
-            formPayload: tokenData,
-            ttlDays: FORM_TOKEN_TTL_DAYS
-        });
-
-        tokenData.persistedRecordId = persisted.recordId;
-        formTokens.set(token, tokenData);
-        console.log(`[BTA] Form link created for ${domain} | token: ${token} | persistedRecordId: ${persisted.recordId} | ttlDays: ${FORM_TOKEN_TTL_DAYS} | clientData: ${clientData ? 'YES (' + Object.keys(clientData).join(',') + ')' : 'NO'} | competitors: ${(competitors || []).length} | competitorDetails: ${Object.keys(competitorDetails || {}).length} | blogPosts: ${(blogPosts || []).length}`);
+        const { token } = await createFormLink({ domain, clientName, clientData, competitors, competitorDetails, blogPosts });
         res.json({ status: 'success', token, ttlDays: FORM_TOKEN_TTL_DAYS });
     } catch (error) {
-        console.error('[BTA] Failed to persist form token in Airtable:', error.message);
+        console.error('[BTA] Failed to persist form session:', error.message);
         res.status(500).json({
             error: 'Failed to create form link',
-            details: `Token persistence failed in Airtable: ${error.message}`
+            details: `Session persistence failed: ${error.message}`
         });
     }
 });
@@ -331,6 +676,17 @@ app.get('/api/form/:token', async (req, res) => {
     try {
         const resolved = await resolveTokenData(req.params.token);
         if (!resolved?.tokenData) return res.status(404).json({ error: 'Form not found or expired' });
+
+        // form.opened fires on the first load only; openedAt is stored before responding so reloads don't repeat it.
+        if (!resolved.session.openedAt) {
+            const openedAt = new Date().toISOString();
+            try {
+                await updateSession(resolved.session.token, { openedAt });
+            } catch (error) {
+                console.warn(`[BTA] Failed to record form open for ${resolved.session.token}: ${error.message}`);
+            }
+            emitWebhook('form.opened', { token: resolved.session.token, domain: resolved.tokenData.domain, openedAt });
+        }
         res.json({ status: 'success', ...resolved.tokenData });
     } catch (error) {
         console.error('[BTA] Form lookup error:', error.message);
@@ -338,18 +694,180 @@ app.get('/api/form/:token', async (req, res) => {
     }
 });
 
+const DRAFT_ARRAY_FIELDS = ['likedPosts', 'customUrls', 'competitors'];
+const DRAFT_OBJECT_FIELDS = ['clientData', 'compData', 'elevenLabsData'];
+
+function validateDraftBody(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return 'Draft body must be a JSON object';
+    for (const field of DRAFT_ARRAY_FIELDS) {
+        if (body[field] !== undefined && !Array.isArray(body[field])) return `${field} must be an array`;
+    }
+    for (const field of DRAFT_OBJECT_FIELDS) {
+        const value = body[field];
+        if (value !== undefined && (!value || typeof value !== 'object' || Array.isArray(value))) return `${field} must be an object`;
+    }
+    if (!DRAFT_FIELDS.some((field) => body[field] !== undefined)) {
+        return `Draft must include at least one of ${DRAFT_FIELDS.join(', ')}`;
+    }
+    return null;
+}
+
+// Autosave partial form state; GET /api/form/:token returns it merged over the original data
+app.put('/api/form/:token/draft', async (req, res) => {
+    const validationError = validateDraftBody(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    try {
+        const session = await getSession(req.params.token);
+        if (!session || !isSessionOpen(session)) return res.status(404).json({ error: 'Form not found or expired' });
+        const saved = await saveSessionDraft(session.token, req.body);
+        await noteVoiceInterview(saved, saved.domain, req.body.elevenLabsData);
+        res.json({ status: 'success', formStatus: saved.status, draftSavedAt: saved.draftSavedAt });
+    } catch (error) {
+        console.error('[BTA] Form draft save error:', error.message);
+        res.status(500).json({ error: 'Failed to save draft', details: error.message });
+    }
+});
+
+// ============================================
+// 4b. FORM LINK LIFECYCLE: list, revoke, extend, regenerate
+// ============================================
+const FORM_LIST_STATUSES = ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'EXPIRED', 'REVOKED'];
+
+// Outstanding and past form links, newest first (?status=PENDING|IN_PROGRESS|COMPLETED|EXPIRED|REVOKED&domain=)
+app.get('/api/forms', async (req, res) => {
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    if (status && !FORM_LIST_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${FORM_LIST_STATUSES.join(', ')}` });
+    }
+    const domain = req.query.domain ? normalizeDomainForCache(String(req.query.domain)) : null;
+    const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 200));
+
+    try {
+        const sessions = await listSessions({ status, domain, limit });
+        res.json({
+            status: 'success',
+            filters: { status, domain },
+            count: sessions.length,
+            forms: sessions.map(serializeSession)
+        });
+    } catch (error) {
+        console.error('[BTA] Form list error:', error.message);
+        res.status(500).json({ error: 'Failed to list forms', details: error.message });
+    }
+});
+
+/**
+ * Load a session for a lifecycle action, or send 404/409 and return null.
+ * Submitted forms are final; revoked links can only be regenerated.
+ */
+async function loadManagedSession(req, res, { allowRevoked = false } = {}) {
+    const session = await getSession(req.params.token);
+    if (!session) {
+        res.status(404).json({ error: 'Form not found' });
+        return null;
+    }
+    const status = getEffectiveStatus(session);
+    if (status === SESSION_STATUS.COMPLETED || (status === SESSION_STATUS.REVOKED && !allowRevoked)) {
+        res.status(409).json({ error: `Form is ${status.toLowerCase()}`, form: serializeSession(session) });
+        return null;
+    }
+    return session;
+}
+
+app.post('/api/form/:token/revoke', async (req, res) => {
+    try {
+        const session = await loadManagedSession(req, res);
+        if (!session) return;
+        const revoked = await revokeSession(session.token);
+        console.log(`[BTA] Form link revoked for ${session.domain} | token: ${session.token}`);
+        res.json({ status: 'success', form: serializeSession(revoked) });
+    } catch (error) {
+        console.error('[BTA] Form revoke error:', error.message);
+        res.status(500).json({ error: 'Failed to revoke form', details: error.message });
+    }
+});
+
+// body.days (default FORM_TOKEN_TTL_DAYS); expired links are extended from now
+app.post('/api/form/:token/extend', async (req, res) => {
+    const days = req.body?.days === undefined ? FORM_TOKEN_TTL_DAYS : Number(req.body.days);
+    if (!Number.isFinite(days) || days <= 0 || days > 90) {
+        return res.status(400).json({ error: 'days must be a number between 1 and 90' });
+    }
+
+    try {
+        const session = await loadManagedSession(req, res);
+        if (!session) return;
+        const extended = await extendSession(session.token, days);
+        console.log(`[BTA] Form link extended for ${session.domain} | token: ${session.token} | expiresAt: ${extended.expiresAt}`);
+        res.json({ status: 'success', form: serializeSession(extended) });
+    } catch (error) {
+        console.error('[BTA] Form extend error:', error.message);
+        res.status(500).json({ error: 'Failed to extend form', details: error.message });
+    }
+});
+
+// Fresh token with the same form data and draft; the old token is revoked and points at its replacement.
+// A link that already has a replacement gets 409 with that token, so only the newest link can be reissued.
+app.post('/api/form/:token/regenerate', async (req, res) => {
+    try {
+        const session = await loadManagedSession(req, res, { allowRevoked: true });
+        if (!session) return;
+        if (session.replacedBy) {
+            return res.status(409).json({
+                error: 'Form was already regenerated; regenerate its replacement instead',
+                replacedBy: session.replacedBy,
+                form: serializeSession(session)
+            });
+        }
+        const payload = session.payload || {};
+        const { token, session: replacement } = await createFormLink({
+            domain: session.domain,
+            clientName: session.clientName,
+            clientData: payload.clientData,
+            competitors: payload.competitors,
+            competitorDetails: payload.competitorDetails,
+            blogPosts: payload.blogPosts
+        });
+        const current = session.draft ? await saveSessionDraft(token, session.draft) : replacement;
+        const previous = getEffectiveStatus(session) === SESSION_STATUS.REVOKED
+            ? await updateSession(session.token, { replacedBy: token })
+            : await revokeSession(session.token, { replacedBy: token });
+        res.json({
+            status: 'success',
+            token,
+            ttlDays: FORM_TOKEN_TTL_DAYS,
+            form: serializeSession(current),
+            previous: serializeSession(previous)
+        });
+    } catch (error) {
+        console.error('[BTA] Form regenerate error:', error.message);
+        res.status(500).json({ error: 'Failed to regenerate form', details: error.message });
+    }
+});
+
 // ============================================
 // RESEARCH COMPETITOR: Deep research with 3 prompts
 // ============================================
 app.post('/api/research/competitor', async (req, res) => {
     const { competitorDomain, clientDomain, clientContext } = req.body;
     if (!competitorDomain) return res.status(400).json({ error: 'Competitor domain is required' });
-    const tracker = createLatencyTracker('research_competitor', competitorDomain);
+    const tracker = createLatencyTracker('research_competitor', competitorDomain, {
+        usageDomain: clientContext?.domain || clientDomain || competitorDomain
+    });
 
     try {
         console.log(`[BTA] Deep research for competitor: ${competitorDomain}`);
 
-        const aiData = await researchCompetitor(competitorDomain, clientContext || null);
+        // Comparison fields depend on the client, so the client domain is part of the key.
+        const clientKey = normalizeDomainForCache(clientContext?.domain || clientDomain) || 'none';
+        const { value: aiData, cache } = await withCache(
+            'competitor',
+            competitorDomain,
+            `vs:${clientKey}`,
+            { refresh: isRefreshRequested(req), shouldCache: isCacheableResearch },
+            () => tracker.run(() => researchCompetitor(competitorDomain, clientContext || null))
+        );
 
         if (!aiData) {
             throw new Error("AI research failed for competitor");
@@ -358,10 +876,12 @@ app.post('/api/research/competitor', async (req, res) => {
         res.json({
             domain: competitorDomain,
             status: 'success',
-            data: aiData
+            data: aiData,
+            cache
         });
-        tracker.done('ok');
+        tracker.done('ok', { cache_hit: cache.hit, cache_age_ms: cache.ageMs });
     } catch (error) {
+        if (isBudgetExceededError(error)) return sendBudgetExceeded(res, tracker, error);
         console.error('[BTA] Competitor research error:', error.message);
         tracker.done('error', { error: error.message });
         res.status(500).json({ error: 'Failed to research competitor', details: error.message });
@@ -378,21 +898,23 @@ app.post('/api/research/data-review-autofill', async (req, res) => {
     }
     const tracker = createLatencyTracker('research_data_review_autofill', clientData.domain);
     try {
-        const result = await enrichDataReviewPostCall({
+        const result = await tracker.run(() => enrichDataReviewPostCall({
             clientData,
             compData,
             competitors,
             elevenLabsData
-        });
+        }));
         tracker.done('ok', {
             competitors: Array.isArray(competitors) ? competitors.length : 0,
-            failedCompetitors: result.failedCompetitors?.length || 0
+            failedCompetitors: result.failedCompetitors?.length || 0,
+            skippedCompetitors: result.skippedCompetitors?.length || 0
         });
         res.json({
             status: 'success',
             ...result
         });
     } catch (error) {
+        if (isBudgetExceededError(error)) return sendBudgetExceeded(res, tracker, error);
         tracker.done('error', { error: error.message });
         console.error('[BTA] Data review autofill error:', error.message);
         res.status(500).json({ error: 'Failed to autofill data review', details: error.message });
@@ -427,7 +949,14 @@ app.post('/api/form/:token/submit', async (req, res) => {
         const tokenData = resolved?.tokenData;
         if (!tokenData) return res.status(404).json({ error: 'Form not found or expired' });
 
-        const airtableResult = await submitToAirtable({
+        // Diff against the research the link was created with, not the draft-merged view.
+        const corrections = diffClientCorrections(resolved.session.payload?.clientData, req.body);
+        if (corrections) {
+            const { corrected, added, removed } = corrections.summary;
+            console.log(`[BTA] Client corrections for ${tokenData.domain}: ${corrected} corrected, ${added} added, ${removed} removed`);
+        }
+
+        const submitPayload = {
             clientData: {
                 domain: tokenData.domain,
                 name: tokenData.clientName,
@@ -439,41 +968,32 @@ app.post('/api/form/:token/submit', async (req, res) => {
             compData: req.body.compData || {},
             sitemapData: req.body.sitemapData || {},
             elevenLabsData: req.body.elevenLabsData || {},
-        }, {
-            existingRecordId: tokenData.persistedRecordId || null,
-            sessionMeta: {
-                kind: 'onboarding_session',
-                token: req.params.token,
-                status: 'COMPLETED',
-                createdAt: tokenData.createdAt ? new Date(tokenData.createdAt).toISOString() : new Date().toISOString(),
-                completedAt: new Date().toISOString(),
-                expiresAt: null
-            },
+            corrections
+        };
+        const airtableResult = await submitToAirtable(submitPayload, {
+            existingRecordId: tokenData.clientRecordId,
             verifyWrite: true
         });
 
-        formTokens.delete(req.params.token);
+        await markSessionCompleted(req.params.token, airtableResult.recordId, corrections);
 
         let notionResult = null;
         let notionError = null;
         try {
-            notionResult = await submitToNotion({
-                clientData: {
-                    domain: tokenData.domain,
-                    name: tokenData.clientName,
-                    data: req.body,
-                },
-                competitors: req.body.competitors || [],
-                likedPosts: req.body.likedPosts || [],
-                customUrls: req.body.customUrls || [],
-                compData: req.body.compData || {},
-                sitemapData: req.body.sitemapData || {},
-                elevenLabsData: req.body.elevenLabsData || {},
-            });
+            notionResult = await submitToNotion(submitPayload);
         } catch (error) {
             notionError = error.message;
             console.warn('[BTA] Notion submit failed after Airtable success:', error.message);
         }
+        await emitSubmitWebhooks({
+            source: 'form',
+            session: resolved.session,
+            domain: tokenData.domain,
+            airtableResult,
+            notionError,
+            corrections,
+            elevenLabsData: req.body.elevenLabsData
+        });
 
         res.json({
             status: notionError ? 'success_with_notion_pending' : 'success',
@@ -482,7 +1002,8 @@ app.post('/api/form/:token/submit', async (req, res) => {
                 : 'Saved to Airtable and Notion',
             finalStatus: notionError ? 'airtable_saved_notion_pending' : 'completed',
             airtable: airtableResult,
-            notion: notionError ? { success: false, error: notionError } : notionResult
+            notion: notionError ? { success: false, error: notionError } : notionResult,
+            corrections: corrections?.summary || null
         });
     } catch (error) {
         console.error('[BTA] Form submit error:', error.message);
@@ -513,19 +1034,7 @@ app.post('/api/submit', async (req, res) => {
 
     try {
         const airtableResult = await submitToAirtable(submitPayload, {
-            existingRecordId: resolvedToken?.tokenData?.persistedRecordId || null,
-            sessionMeta: formToken
-                ? {
-                    kind: 'onboarding_session',
-                    token: formToken,
-                    status: 'COMPLETED',
-                    createdAt: resolvedToken?.tokenData?.createdAt
-                        ? new Date(resolvedToken.tokenData.createdAt).toISOString()
-                        : new Date().toISOString(),
-                    completedAt: new Date().toISOString(),
-                    expiresAt: null
-                }
-                : null,
+            existingRecordId: resolvedToken?.tokenData?.clientRecordId || null,
             verifyWrite: true
         });
 
@@ -538,9 +1047,17 @@ app.post('/api/submit', async (req, res) => {
             console.warn('[BTA] Notion submit failed (non-blocking):', error.message);
         }
 
-        if (formToken) {
-            formTokens.delete(formToken);
+        if (resolvedToken) {
+            await markSessionCompleted(formToken, airtableResult.recordId);
         }
+        await emitSubmitWebhooks({
+            source: 'dashboard',
+            session: resolvedToken?.session || null,
+            domain: clientData.domain,
+            airtableResult,
+            notionError,
+            elevenLabsData
+        });
 
         tracker.done('ok', {
             airtable: 'fulfilled',
@@ -755,18 +1272,150 @@ app.get('/api/elevenlabs/context/:token', async (req, res) => {
 // 8. HEALTH CHECK
 // ============================================
 app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    res.json({ status: 'ok', timestamp: new Date().toISOString(), browser: getBrowserPoolStats(), crawler: getFetchStats() });
+});
+
+// AI providers: registry contents and current routing order
+app.get('/api/providers', (req, res) => {
+    res.json({ status: 'success', providers: describeProviders() });
+});
+
+// Parse ?from=/?to= as ISO dates or epoch ms; a bare YYYY-MM-DD "to" covers the whole day.
+function parseUsageDate(value, { endOfDay = false } = {}) {
+    if (value === undefined || value === '') return { ms: null };
+    const raw = String(value).trim();
+    if (/^\d+$/.test(raw)) return { ms: Number(raw) };
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(raw);
+    const ms = Date.parse(isDateOnly ? `${raw}T00:00:00.000Z` : raw);
+    if (!Number.isFinite(ms)) return { error: `Invalid date: ${raw}` };
+    return { ms: isDateOnly && endOfDay ? ms + 86_400_000 - 1 : ms };
+}
+
+// AI usage ledger: tokens, search calls and estimated cost per request/domain
+app.get('/api/usage', async (req, res) => {
+    const from = parseUsageDate(req.query.from);
+    const to = parseUsageDate(req.query.to, { endOfDay: true });
+    if (from.error || to.error) {
+        return res.status(400).json({ error: from.error || to.error });
+    }
+    const domain = req.query.domain ? normalizeDomainForCache(String(req.query.domain)) : null;
+    const limit = Math.min(1000, Math.max(0, Number(req.query.limit) || 200));
+
+    try {
+        const usage = await queryUsage({ domain, fromMs: from.ms, toMs: to.ms, limit });
+        res.json({
+            status: 'success',
+            filters: {
+                domain,
+                from: from.ms !== null ? new Date(from.ms).toISOString() : null,
+                to: to.ms !== null ? new Date(to.ms).toISOString() : null
+            },
+            ...usage
+        });
+    } catch (error) {
+        console.error('[BTA] Usage ledger error:', error.message);
+        res.status(500).json({ error: 'Failed to read usage ledger', details: error.message });
+    }
+});
+
+// Prompt template registry: active version per template id
+app.get('/api/admin/prompts', (req, res) => {
+    try {
+        res.json({ status: 'success', dir: PROMPTS_DIR, loadedAt: getPromptsLoadedAt(), prompts: listPrompts() });
+    } catch (error) {
+        console.error('[BTA] Prompt registry error:', error.message);
+        res.status(500).json({ error: 'Failed to list prompts', details: error.message });
+    }
+});
+
+// Re-read templates and active.json after analysts edit them
+app.post('/api/admin/prompts/reload', (req, res) => {
+    try {
+        const prompts = reloadPrompts();
+        res.json({ status: 'success', dir: PROMPTS_DIR, loadedAt: getPromptsLoadedAt(), prompts });
+    } catch (error) {
+        console.error('[BTA] Prompt reload error:', error.message);
+        res.status(500).json({ error: 'Failed to reload prompts', details: error.message });
+    }
+});
+
+// Outbound webhook subscriptions and recent delivery attempts (?event=&outcome=delivered|retrying|failed|abandoned&limit=)
+app.get('/api/admin/webhooks', async (req, res) => {
+    const event = req.query.event ? String(req.query.event) : null;
+    if (event && !WEBHOOK_EVENTS.includes(event)) {
+        return res.status(400).json({ error: `event must be one of ${WEBHOOK_EVENTS.join(', ')}` });
+    }
+    const outcome = req.query.outcome ? String(req.query.outcome) : null;
+    const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 100));
+
+    try {
+        const deliveries = await queryWebhookDeliveries({ event, outcome, limit });
+        res.json({
+            status: 'success',
+            events: WEBHOOK_EVENTS,
+            subscriptions: describeWebhookSubscriptions(),
+            count: deliveries.length,
+            deliveries
+        });
+    } catch (error) {
+        console.error('[BTA] Webhook log error:', error.message);
+        res.status(500).json({ error: 'Failed to read webhook deliveries', details: error.message });
+    }
+});
+
+// Prompt experiment: per-variant latency, coverage gaps, confidence and cost
+app.get('/api/admin/experiments', async (req, res) => {
+    const from = parseUsageDate(req.query.from);
+    const to = parseUsageDate(req.query.to, { endOfDay: true });
+    if (from.error || to.error) {
+        return res.status(400).json({ error: from.error || to.error });
+    }
+
+    try {
+        const report = await getExperimentReport({
+            experiment: req.query.name ? String(req.query.name) : null,
+            fromMs: from.ms,
+            toMs: to.ms
+        });
+        res.json({ status: 'success', ...report });
+    } catch (error) {
+        console.error('[BTA] Experiment report error:', error.message);
+        res.status(500).json({ error: 'Failed to build experiment report', details: error.message });
+    }
 });
 
 app.listen(PORT, () => {
     console.log(`[BTA Backend] Running on port ${PORT}`);
     console.log(`  POST /api/onboard            - Research a domain via AI`);
+    console.log(`  POST /api/onboard/jobs       - Start background research job`);
+    console.log(`  GET  /api/onboard/jobs/:id   - Research job progress/result`);
+    console.log(`  GET  /api/onboard/stream     - Research a domain with SSE progress`);
+    console.log(`  POST /api/onboard/batch      - Research a list of domains (JSON/CSV)`);
     console.log(`  POST /api/blogs              - Find blog posts via AI`);
-    console.log(`  POST /api/sitemap            - Sitemap info (minimal)`);
+    console.log(`  POST /api/sitemap            - robots.txt, sitemaps and llms.txt`);
     console.log(`  POST /api/form/create         - Generate shareable form link`);
     console.log(`  GET  /api/form/:token         - Get form info`);
+    console.log(`  PUT  /api/form/:token/draft   - Autosave partial form progress`);
     console.log(`  POST /api/form/:token/submit  - Client submits form`);
+    console.log(`  GET  /api/forms               - List form links (?status=&domain=)`);
+    console.log(`  POST /api/form/:token/revoke  - Revoke a form link`);
+    console.log(`  POST /api/form/:token/extend  - Extend a form link's expiry`);
+    console.log(`  POST /api/form/:token/regenerate - Reissue a form link under a new token`);
     console.log(`  POST /api/submit              - Direct submit to Airtable`);
     console.log(`  GET  /api/clients             - List all clients`);
     console.log(`  GET  /api/health              - Health check`);
+    console.log(`  GET  /api/providers           - AI provider registry and routing order`);
+    console.log(`  GET  /api/usage               - AI token/cost ledger (?domain=&from=&to=)`);
+    console.log(`  GET  /api/admin/prompts       - Prompt templates and active versions`);
+    console.log(`  POST /api/admin/prompts/reload - Re-read prompt templates from disk`);
+    console.log(`  GET  /api/admin/experiments   - Prompt experiment comparison (?name=&from=&to=)`);
+    console.log(`  GET  /api/admin/webhooks      - Webhook subscriptions and delivery log (?event=&outcome=)`);
 });
+
+// Webhook retries are in-process timers; record the pending ones as abandoned, then exit as the signal would.
+for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => {
+        abandonPendingWebhookRetries(signal);
+        process.kill(process.pid, signal);
+    });
+}
@@ -0,0 +1,132 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Background job store for long-running research.
+ * In-memory only: jobs survive for JOB_TTL_MS and are lost on restart.
+ */
+
+const JOB_TTL_MS = 86_400_000;
+const JOB_MAX_EVENTS = 50;
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+const jobs = new Map();
+
+function pruneExpiredJobs(now = Date.now()) {
+    for (const [id, job] of jobs.entries()) {
+        const finishedAt = job.completedAt ? Date.parse(job.completedAt) : Number.NaN;
+        if (Number.isFinite(finishedAt) && (now - finishedAt) > JOB_TTL_MS) {
+            jobs.delete(id);
+        }
+    }
+}
+
+function touch(job, patch) {
+    Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+}
+
+function recordJobEvent(job, event) {
+    if (!event) return;
+    job.events.push(event.at ? event : { ...event, at: new Date().toISOString() });
+    if (job.events.length > JOB_MAX_EVENTS) job.events.shift();
+
+    if (event.type === 'stage') {
+        touch(job, {
+            stage: event.stage,
+            stageStatus: event.status,
+            timings: event.timings || job.timings
+        });
+    } else {
+        touch(job, {});
+    }
+}
+
+/**
+ * Create a job and start it on the next tick.
+ * @param {string} kind - e.g. 'onboard'
+ * @param {object} input - Echoed back on the job (domain etc.)
+ * @param {function} runner - async ({ job, reportEvent }) => result
+ * @returns {object} The job record
+ */
+function createJob(kind, input, runner) {
+    pruneExpiredJobs();
+
+    const now = new Date().toISOString();
+    const job = {
+        id: uuidv4(),
+        kind,
+        input: input || {},
+        status: JOB_STATUS.QUEUED,
+        stage: null,
+        stageStatus: null,
+        timings: {},
+        events: [],
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        completedAt: null
+    };
+    jobs.set(job.id, job);
+
+    setImmediate(async () => {
+        touch(job, { status: JOB_STATUS.RUNNING, startedAt: new Date().toISOString() });
+        try {
+            const result = await runner({
+                job,
+                reportEvent: (event) => recordJobEvent(job, event)
+            });
+            touch(job, {
+                status: JOB_STATUS.COMPLETED,
+                result,
+                completedAt: new Date().toISOString()
+            });
+            console.log(`[Jobs] ${kind} job ${job.id} completed`);
+        } catch (error) {
+            touch(job, {
+                status: JOB_STATUS.FAILED,
+                error: error.message,
+                completedAt: new Date().toISOString()
+            });
+            console.error(`[Jobs] ${kind} job ${job.id} failed: ${error.message}`);
+        }
+    });
+
+    return job;
+}
+
+function getJob(id) {
+    pruneExpiredJobs();
+    return jobs.get(id) || null;
+}
+
+/**
+ * Public view of a job. The result is only included once the job is done.
+ */
+function serializeJob(job, { includeResult = true } = {}) {
+    if (!job) return null;
+    const finished = job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED;
+    return {
+        id: job.id,
+        kind: job.kind,
+        input: job.input,
+        status: job.status,
+        stage: job.stage,
+        stageStatus: job.stageStatus,
+        timings: job.timings,
+        events: job.events,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        ...(includeResult && finished ? { result: job.result } : {})
+    };
+}
+
+module.exports = { createJob, getJob, serializeJob, JOB_STATUS };
@@ -0,0 +1,124 @@
+const OpenAI = require("openai");
+const { scrapeStructuralData, scrapePageTexts } = require("./structuralScraper");
+const { recordUsage, usageFromChatCompletion } = require("./usageService");
+
+/**
+ * Local / self-hosted OpenAI-compatible provider (Ollama, vLLM, llama.cpp server).
+ * These models have no web search, so the live website is scraped and injected
+ * into the prompt instead.
+ *
+ * Env: LOCAL_LLM_BASE_URL (e.g. http://localhost:11434/v1), LOCAL_LLM_MODEL,
+ *      LOCAL_LLM_API_KEY (optional; most local servers ignore it)
+ */
+
+const LOCAL_CONTEXT_TTL_MS = 5 * 60 * 1000;
+const LOCAL_CONTEXT_MAX_CHARS = 24000;
+
+// One research run calls the provider several times (primary, master, recovery); scrape once.
+const contextCache = new Map();
+
+/**
+ * Parse JSON from local model response
+ */
+function parseJson(text) {
+    const cleaned = text.replace(/```json|```/g, "").trim();
+    const match = cleaned.match(/\{[\s\S]*\}/);
+    try {
+        if (!match) throw new Error("No JSON found in response");
+        return JSON.parse(match[0]);
+    } catch (error) {
+        error.rawText = text;
+        throw error;
+    }
+}
+
+function formatStructuralContext(structuralData) {
+    if (!structuralData) return "- No structural data available";
+    const lines = [];
+    if (structuralData.headline) lines.push(`- Headline: ${structuralData.headline}`);
+    if (structuralData.subheadline) lines.push(`- Subheadline: ${structuralData.subheadline}`);
+    if (structuralData.value_props?.length) lines.push(`- Value props: ${structuralData.value_props.slice(0, 10).join(" | ")}`);
+    if (structuralData.features?.length) lines.push(`- Features: ${structuralData.features.slice(0, 20).join(" | ")}`);
+    if (structuralData.pricing_model && structuralData.pricing_model !== "unknown") lines.push(`- Pricing model: ${structuralData.pricing_model}`);
+    if (structuralData.compliance_mentions?.length) lines.push(`- Compliance mentioned on site: ${structuralData.compliance_mentions.join(", ")}`);
+    if (structuralData.integrations_mentioned?.length) lines.push(`- Integrations mentioned on site: ${structuralData.integrations_mentioned.slice(0, 20).join(", ")}`);
+    if (structuralData.industries?.length) lines.push(`- Industries: ${structuralData.industries.join(", ")}`);
+    if (structuralData.keywords?.length) lines.push(`- Keywords: ${structuralData.keywords.join(", ")}`);
+    return lines.length > 0 ? lines.join("\n") : "- No structural data available";
+}
+
+async function buildWebsiteContext(domain, structuralData) {
+    if (!domain) return null;
+
+    const cached = contextCache.get(domain);
+    if (cached && (Date.now() - cached.cachedAt) <= LOCAL_CONTEXT_TTL_MS) {
+        return cached.context;
+    }
+
+    const [structural, pages] = await Promise.all([
+        structuralData ? Promise.resolve(structuralData) : scrapeStructuralData(domain).catch(() => null),
+        scrapePageTexts(domain).catch(() => [])
+    ]);
+
+    const pageBlocks = pages.map((page) => `--- https://${domain}${page.path} ---\n${page.text}`);
+    const context = `WEBSITE CONTEXT (scraped live from https://${domain}; you have NO web access, rely on this):
+
+STRUCTURAL FACTS:
+${formatStructuralContext(structural)}
+
+PAGE TEXT:
+${pageBlocks.length > 0 ? pageBlocks.join("\n\n") : "- No page text could be scraped"}`.slice(0, LOCAL_CONTEXT_MAX_CHARS);
+
+    for (const [key, entry] of contextCache.entries()) {
+        if ((Date.now() - entry.cachedAt) > LOCAL_CONTEXT_TTL_MS) contextCache.delete(key);
+    }
+    contextCache.set(domain, { context, cachedAt: Date.now() });
+    return context;
+}
+
+/**
+ * Provider call used by the AI provider registry (same contract as callOpenAI/callGemini)
+ * @param {string} prompt
+ * @param {object} options - { timeoutMs, model, domain, structuralData }
+ */
+async function callLocalLLM(prompt, options = {}) {
+    const baseURL = process.env.LOCAL_LLM_BASE_URL;
+    if (!baseURL) throw new Error("No LOCAL_LLM_BASE_URL");
+    const model = options.model || process.env.LOCAL_LLM_MODEL;
+    if (!model) throw new Error("No LOCAL_LLM_MODEL");
+    const timeoutMs = Math.max(5000, Number(options.timeoutMs || 120000));
+
+    const websiteContext = await buildWebsiteContext(options.domain, options.structuralData);
+
+    console.log(`[AI] Calling local model ${model} at ${baseURL} (offline context: ${websiteContext ? websiteContext.length + " chars" : "none"})...`);
+    const client = new OpenAI({
+        apiKey: process.env.LOCAL_LLM_API_KEY || "local",
+        baseURL,
+        timeout: timeoutMs,
+        maxRetries: 0
+    });
+
+    const completion = await client.chat.completions.create({
+        model,
+        messages: [
+            {
+                role: "system",
+                content: "You are a research assistant without internet access. Wherever instructions mention web search, use the provided WEBSITE CONTEXT instead. Never invent facts that the context does not support; use null or [] instead. Return only valid JSON."
+            },
+            {
+                role: "user",
+                content: websiteContext ? `${websiteContext}\n\n${prompt}` : prompt
+            }
+        ],
+        response_format: { type: "json_object" },
+        temperature: 0.2
+    });
+    recordUsage({ provider: "local", model, purpose: options.usagePurpose, ...usageFromChatCompletion(completion) });
+
+    const responseText = completion.choices?.[0]?.message?.content;
+    if (!responseText) throw new Error("No text in local model response");
+    options.onRawResponse?.(responseText);
+    return parseJson(responseText);
+}
+
+module.exports = { callLocalLLM, buildWebsiteContext };
@@ -147,6 +147,39 @@ function toggle(title, children) {
     };
 }
 
+/**
+ * Helper: Short readable form of a corrected value (tier/name labels for objects)
+ */
+function describeCorrectionValue(value, max = 300) {
+    let text;
+    if (value === null || value === undefined || value === '') text = '(empty)';
+    else if (Array.isArray(value)) text = value.length ? value.map((item) => describeCorrectionValue(item, max)).join(', ') : '(empty)';
+    else if (typeof value === 'object') {
+        const label = value.tier || value.name || value.title;
+        text = label ? [label, value.price].filter(Boolean).join(' ') : JSON.stringify(value);
+    } else text = String(value);
+    return text.length > max ? `${text.slice(0, max)}...` : text;
+}
+
+/**
+ * Helper: One line per client correction (see clientCorrections.diffClientCorrections)
+ */
+function describeCorrection(entry) {
+    const confidence = entry.confidence ? ` [research confidence ${entry.confidence.score}, ${entry.confidence.status}]` : '';
+    if (entry.change === 'added') return `${entry.field}: added ${describeCorrectionValue(entry.after)}${confidence}`;
+    if (entry.change === 'removed') return `${entry.field}: cleared (was ${describeCorrectionValue(entry.before)})${confidence}`;
+    if (entry.items) {
+        const parts = [];
+        if (entry.items.added.length) parts.push(`added ${describeCorrectionValue(entry.items.added)}`);
+        if (entry.items.removed.length) parts.push(`removed ${describeCorrectionValue(entry.items.removed)}`);
+        for (const item of entry.items.changed) {
+            parts.push(`${describeCorrectionValue(item.before)} → ${describeCorrectionValue(item.after)}`);
+        }
+        return `${entry.field}: ${parts.join('; ')}${confidence}`;
+    }
+    return `${entry.field}: ${describeCorrectionValue(entry.before)} → ${describeCorrectionValue(entry.after)}${confidence}`;
+}
+
 /**
  * Create a COMPLETE report document in Notion with ALL available data (ENGLISH)
  */
@@ -174,6 +207,7 @@ async function submitToNotion(data) {
     const customUrls = data.customUrls || [];
     const elevenLabsData = data.elevenLabsData || {};
     const sitemapData = data.sitemapData || {};
+    const corrections = data.corrections || null;
 
     const companyName = clientData.name || clientScraped.name || clientData.domain || 'Unknown Company';
     const dateStr = new Date().toLocaleDateString('en-US', {
@@ -297,6 +331,14 @@ async function submitToNotion(data) {
     } else {
         children.push(paragraph('Pricing information not publicly available.'));
     }
+    const pricingCheck = clientScraped.pricingCheck;
+    if (pricingCheck && !pricingCheck.agrees) {
+        const differences = [
+            ...pricingCheck.priceMismatches.map(item => `${item.tier}: AI said ${item.ai}, page shows ${item.page}`),
+            ...pricingCheck.notOnPage.map(tier => `${tier}: reported by AI, not on /pricing`)
+        ];
+        children.push(paragraph(`⚠️ Tiers above come from the /pricing page. ${differences.join('; ') || 'AI research missed some tiers.'}`));
+    }
 
     // ==========================================
     // COMPLIANCE AND CERTIFICATIONS
@@ -469,6 +511,33 @@ async function submitToNotion(data) {
         children.push(paragraph(clientScraped.roadmap));
     }
 
+    // ==========================================
+    // SOURCES (provider citations per field)
+    // ==========================================
+    const sources = clientScraped.sources && typeof clientScraped.sources === 'object' ? clientScraped.sources : {};
+    const sourceEntries = Object.entries(sources).filter(([, urls]) => Array.isArray(urls) && urls.length > 0);
+    if (sourceEntries.length > 0) {
+        children.push(divider(), heading(2, '📚', `Sources (${sourceEntries.length} fields)`));
+        for (const [field, urls] of sourceEntries) {
+            children.push(paragraph(`${urls.length} source${urls.length === 1 ? '' : 's'}`, field === '_general' ? 'General' : field));
+            for (const url of urls) {
+                children.push(bullet(url, url));
+            }
+        }
+    }
+
+    // ==========================================
+    // CLIENT CORRECTIONS (submitted form vs AI research)
+    // ==========================================
+    if (corrections?.changes?.length > 0) {
+        const { corrected, added, removed } = corrections.summary;
+        children.push(divider(), heading(2, '✏️', `Client Corrections (${corrections.changes.length})`));
+        children.push(paragraph(`${corrected} corrected, ${added} added, ${removed} removed across ${corrections.fieldsCompared} submitted fields`));
+        for (const entry of corrections.changes) {
+            children.push(bullet(describeCorrection(entry)));
+        }
+    }
+
     // ==========================================
     // COMPETITORS - COMPLETE DETAIL
     // ==========================================
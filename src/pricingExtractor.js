@@ -0,0 +1,292 @@
+const cheerio = require("cheerio");
+const { phrasesMatch } = require("./fieldConfidence");
+const { isBrowserPoolAvailable, renderPage } = require("./browserPool");
+
+/**
+ * Deterministic pricing extraction from /pricing pages (no LLM).
+ * Tier: { name, price, amount, currency, billingPeriod, seatUnit, freeTrial, trialDays, features }
+ *   price        display string ("$49", "Free", "Custom")
+ *   amount       number, 0 for free, null for custom/contact sales
+ *   billingPeriod month | year | one-time | null
+ *   seatUnit     user | seat | member | ... when priced per head, else null
+ */
+
+const PRICING_RENDER_TIMEOUT_MS = 20000;
+const MAX_TIER_FEATURES = 15;
+const MAX_CARD_CANDIDATES = 200;
+
+const CARD_SELECTORS = [
+    '[class*="pricing-card"]', '[class*="price-card"]', '[class*="pricing-plan"]', '[class*="plan-card"]',
+    '[class*="PlanCard"]', '[class*="PricingCard"]', '[class*="pricing-tier"]', '[class*="tier"]',
+    '[class*="plan"]', '[class*="Plan"]', '[class*="package"]', '[data-plan]', '[data-tier]'
+].join(', ');
+const NAME_SELECTORS = '[class*="name"], [class*="Name"], [class*="title"], [class*="Title"], h1, h2, h3, h4, h5, strong';
+
+const PRICE_PATTERN = /([$€£])\s?(\d[\d,]*(?:\.\d{1,2})?)|(\d[\d,]*(?:\.\d{1,2})?)\s?(USD|EUR|GBP)\b/i;
+const CURRENCY_BY_SYMBOL = { '$': 'USD', '€': 'EUR', '£': 'GBP' };
+const SYMBOL_BY_CURRENCY = { USD: '$', EUR: '€', GBP: '£' };
+const CUSTOM_PRICE_PATTERN = /\b(custom|contact (us|sales)|talk to sales|get a quote|let'?s talk)\b/i;
+const FREE_PRICE_PATTERN = /\bfree\b(?!\s*(trial|for \d+))/i;
+const SEAT_UNIT_PATTERN = /(?:\/|per)\s?(user|seat|member|editor|agent|host|contributor|creator)s?\b/i;
+
+function cleanText(value) {
+    return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+// Text of an element with a space between child nodes; cheerio's .text() glues "month" + "14-day" together.
+function visibleText($, el) {
+    const parts = [];
+    const walk = (node) => {
+        if (node.type === 'text') parts.push(node.data);
+        else if (node.children) node.children.forEach(walk);
+    };
+    walk($(el).get(0));
+    return cleanText(parts.join(' '));
+}
+
+/**
+ * Price figures in a string ("$49", "€1,200", "49 USD"), normalized to "<symbol><amount>".
+ */
+function extractPriceMentions(text) {
+    if (!text) return [];
+    const prices = new Set();
+    const pattern = new RegExp(PRICE_PATTERN.source, 'gi');
+    for (const match of String(text).matchAll(pattern)) {
+        const symbol = match[1] || SYMBOL_BY_CURRENCY[match[4].toUpperCase()];
+        const amount = (match[2] || match[3]).replace(/,/g, '');
+        prices.add(`${symbol}${Number(amount)}`);
+    }
+    return [...prices];
+}
+
+function detectBillingPeriod(text) {
+    const t = text.toLowerCase();
+    if (/(\/|per\s|a\s)\s?(mo|month)\b|monthly/.test(t)) return 'month';
+    if (/(\/|per\s|a\s)\s?(yr|year)\b|annual|yearly/.test(t)) return 'year';
+    if (/one[-\s]time|lifetime|once\b/.test(t)) return 'one-time';
+    return null;
+}
+
+// ============================================
+// CARD DETECTION + PARSING
+// ============================================
+
+function cardName($, card) {
+    const name = $(card).find(NAME_SELECTORS).toArray()
+        .map((el) => visibleText($, el))
+        .find((text) => text.length >= 2 && text.length <= 40 && !PRICE_PATTERN.test(text));
+    return name || null;
+}
+
+function hasPriceSignal(text) {
+    return PRICE_PATTERN.test(text) || CUSTOM_PRICE_PATTERN.test(text) || FREE_PRICE_PATTERN.test(text);
+}
+
+function looksLikeCard($, card) {
+    const text = visibleText($, card);
+    return text.length >= 10 && text.length <= 4000 && hasPriceSignal(text) && Boolean(cardName($, card));
+}
+
+/**
+ * Pricing cards: the outermost element around each single plan, never wrappers around several.
+ */
+function findPricingCards($) {
+    let candidates = $(CARD_SELECTORS).toArray().slice(0, MAX_CARD_CANDIDATES).filter((el) => looksLikeCard($, el));
+
+    if (candidates.length === 0) {
+        // No pricing-ish classes: climb from short headings to the first ancestor holding a price.
+        const fromHeadings = new Set();
+        $('h2, h3, h4').each((i, heading) => {
+            if (visibleText($, heading).length > 40) return;
+            let node = $(heading).parent();
+            for (let depth = 0; depth < 3 && node.length; depth++, node = node.parent()) {
+                if (hasPriceSignal(visibleText($, node))) {
+                    fromHeadings.add(node.get(0));
+                    break;
+                }
+            }
+        });
+        candidates = [...fromHeadings].filter((el) => looksLikeCard($, el));
+    }
+
+    // Drop wrappers that contain 2+ cards with different names (plan grids, pricing sections).
+    const singles = candidates.filter((el) => {
+        const inner = candidates.filter((other) => other !== el && $(el).find(other).length > 0);
+        return new Set(inner.map((other) => cardName($, other))).size < 2;
+    });
+    // Of nested single-plan candidates keep the outermost, which holds the feature list too.
+    return singles.filter((el) => !singles.some((other) => other !== el && $(other).find(el).length > 0));
+}
+
+function parseCard($, card) {
+    const text = visibleText($, card);
+    const name = cardName($, card);
+    const priceMatch = text.match(PRICE_PATTERN);
+
+    let price = null;
+    let amount = null;
+    let currency = null;
+    let window = text;
+    if (priceMatch) {
+        const symbol = priceMatch[1] || SYMBOL_BY_CURRENCY[priceMatch[4].toUpperCase()];
+        amount = Number((priceMatch[2] || priceMatch[3]).replace(/,/g, ''));
+        currency = CURRENCY_BY_SYMBOL[symbol] || null;
+        price = `${symbol}${priceMatch[2] || priceMatch[3]}`;
+        // Period and seat unit are written right after the figure ("$49 /user/month")
+        window = text.slice(priceMatch.index, priceMatch.index + priceMatch[0].length + 60);
+    } else if (CUSTOM_PRICE_PATTERN.test(text)) {
+        price = 'Custom';
+    } else if (FREE_PRICE_PATTERN.test(text)) {
+        price = 'Free';
+        amount = 0;
+    }
+
+    const trialMatch = text.match(/(\d+)[-\s]?day(?:s)?\s+(?:free\s+)?trial/i);
+    const features = [...new Set($(card).find('li').toArray()
+        .map((el) => visibleText($, el))
+        .filter((item) => item.length >= 3 && item.length <= 160))]
+        .slice(0, MAX_TIER_FEATURES);
+
+    return {
+        name,
+        price,
+        amount,
+        currency,
+        billingPeriod: priceMatch ? (detectBillingPeriod(window) || detectBillingPeriod(text)) : null,
+        seatUnit: priceMatch ? (window.match(SEAT_UNIT_PATTERN)?.[1]?.toLowerCase() || null) : null,
+        freeTrial: Boolean(trialMatch) || /free trial|try (it )?(for )?free/i.test(text),
+        trialDays: trialMatch ? Number(trialMatch[1]) : null,
+        features
+    };
+}
+
+/**
+ * Pricing tiers from a loaded pricing page.
+ * @param {import('cheerio').CheerioAPI|string} page - cheerio root or raw HTML
+ * @returns {object[]} tiers in page order, deduped by name (monthly/annual toggles render twice)
+ */
+function extractPricingTiers(page) {
+    if (!page) return [];
+    const $ = typeof page === 'string' ? cheerio.load(page) : page;
+    $('script, style, noscript, svg').remove();
+
+    const seen = new Set();
+    const tiers = [];
+    for (const card of findPricingCards($)) {
+        const tier = parseCard($, card);
+        const key = tier.name.toLowerCase();
+        if (!tier.price || seen.has(key)) continue;
+        seen.add(key);
+        tiers.push(tier);
+    }
+    return tiers;
+}
+
+/**
+ * Tiers for a domain: fetched page first, rendered page when it yields nothing.
+ * @param {string} domain
+ * @param {import('cheerio').CheerioAPI|null} $pricing - Already-fetched /pricing page
+ * @param {object} [options]
+ * @param {boolean} [options.alreadyRendered] - $pricing came from the browser; don't render again
+ * @returns {Promise<{ tiers: object[], rendered: boolean }>}
+ */
+async function extractPricingForDomain(domain, $pricing, { alreadyRendered = false } = {}) {
+    const tiers = extractPricingTiers($pricing);
+    if (tiers.length > 0 || alreadyRendered || !isBrowserPoolAvailable()) return { tiers, rendered: false };
+
+    console.log(`[Pricing] No tiers in static /pricing for ${domain}, rendering...`);
+    const html = await renderPage(`https://${domain}/pricing`, { timeoutMs: PRICING_RENDER_TIMEOUT_MS });
+    const renderedTiers = extractPricingTiers(html);
+    console.log(`[Pricing] Rendered /pricing for ${domain}: ${renderedTiers.length} tier(s)`);
+    return { tiers: renderedTiers, rendered: renderedTiers.length > 0 };
+}
+
+// ============================================
+// AI PRICING RECONCILIATION
+// ============================================
+
+function formatPeriod(tier) {
+    if (!tier.seatUnit && !tier.billingPeriod) return null;
+    return [tier.seatUnit, tier.billingPeriod].filter(Boolean).map((part) => `/${part}`).join('');
+}
+
+// Extracted tier in the normalized `pricing` shape ({ tier, price, period, features } + details)
+function toPricingField(tier) {
+    return {
+        tier: tier.name,
+        price: tier.price,
+        period: formatPeriod(tier),
+        features: tier.features,
+        amount: tier.amount,
+        currency: tier.currency,
+        billingPeriod: tier.billingPeriod,
+        seatUnit: tier.seatUnit,
+        freeTrial: tier.freeTrial,
+        trialDays: tier.trialDays,
+        source: 'pricing_page'
+    };
+}
+
+function aiTierName(tier) {
+    return String(tier?.tier || tier?.name || '').trim();
+}
+
+/**
+ * Compare AI-reported tiers with extracted ones.
+ * @returns {{ matched: string[], priceMismatches: Array<{tier, page, ai}>, missingFromAi: string[], notOnPage: string[] }}
+ */
+function comparePricing(extractedTiers, aiPricing) {
+    const aiTiers = Array.isArray(aiPricing) ? aiPricing.filter((tier) => aiTierName(tier)) : [];
+    const comparison = { matched: [], priceMismatches: [], missingFromAi: [], notOnPage: [] };
+    const usedAi = new Set();
+
+    for (const tier of extractedTiers) {
+        const aiTier = aiTiers.find((candidate) => !usedAi.has(candidate) && phrasesMatch(tier.name, aiTierName(candidate)));
+        if (!aiTier) {
+            comparison.missingFromAi.push(tier.name);
+            continue;
+        }
+        usedAi.add(aiTier);
+        const pagePrices = extractPriceMentions(tier.price);
+        const aiPrices = extractPriceMentions(String(aiTier.price ?? ''));
+        const pricesDiffer = pagePrices.length > 0 && aiPrices.length > 0 && !aiPrices.some((price) => pagePrices.includes(price));
+        if (pricesDiffer) {
+            comparison.priceMismatches.push({ tier: tier.name, page: tier.price, ai: aiTier.price });
+        } else {
+            comparison.matched.push(tier.name);
+        }
+    }
+    comparison.notOnPage = aiTiers.filter((tier) => !usedAi.has(tier)).map(aiTierName);
+    return comparison;
+}
+
+/**
+ * Pricing field for a research result: extracted tiers win over AI tiers when the page had any.
+ * @param {object[]} aiPricing - Normalized AI `pricing`
+ * @param {object[]} extractedTiers - structuralData.pricing_tiers
+ * @returns {{ pricing: object[], pricingCheck: object|null }}
+ */
+function reconcilePricing(aiPricing, extractedTiers) {
+    if (!Array.isArray(extractedTiers) || extractedTiers.length === 0) {
+        return { pricing: aiPricing, pricingCheck: null };
+    }
+    const comparison = comparePricing(extractedTiers, aiPricing);
+    const disagreements = comparison.priceMismatches.length + comparison.notOnPage.length;
+    return {
+        pricing: extractedTiers.map(toPricingField),
+        pricingCheck: {
+            source: 'pricing_page',
+            agrees: disagreements === 0 && comparison.missingFromAi.length === 0,
+            ...comparison,
+            aiPricing: Array.isArray(aiPricing) ? aiPricing : []
+        }
+    };
+}
+
+module.exports = {
+    extractPriceMentions,
+    extractPricingTiers,
+    extractPricingForDomain,
+    comparePricing,
+    reconcilePricing
+};
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versioned prompt templates, loaded from PROMPTS_DIR (default src/prompts).
+ * Layout: <id>/v<N>.txt, plus active.json mapping id -> active version.
+ * PROMPT_VERSIONS (JSON, e.g. {"research":2}) overrides the manifest; ids listed in
+ * neither use their latest version.
+ *
+ * Template syntax:
+ *   {{name}}               value of `name` ('' when missing)
+ *   {{#name}}...{{/name}}  kept when `name` is truthy (non-empty string/array, true, ...)
+ *   {{^name}}...{{/name}}  kept when `name` is falsy
+ * Sections may nest as long as nested sections use different names.
+ */
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, 'prompts');
+const MANIFEST_FILE = 'active.json';
+const VERSION_FILE_PATTERN = /^v(\d+)\.(txt|md)$/;
+// Section or variable; one left-to-right pass so substituted values are never re-scanned.
+const PLACEHOLDER_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}|\{\{(\w+)\}\}/g;
+
+let registry = null;
+
+function readJsonObject(raw, label) {
+    if (!raw) return {};
+    try {
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+        console.warn(`[Prompts] Ignoring invalid ${label}: ${error.message}`);
+        return {};
+    }
+}
+
+function loadRegistry() {
+    const templates = new Map();
+    const entries = fs.existsSync(PROMPTS_DIR) ? fs.readdirSync(PROMPTS_DIR, { withFileTypes: true }) : [];
+
+    for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+        const versions = new Map();
+        for (const file of fs.readdirSync(path.join(PROMPTS_DIR, entry.name))) {
+            const match = file.match(VERSION_FILE_PATTERN);
+            if (!match) continue;
+            const filePath = path.join(PROMPTS_DIR, entry.name, file);
+            versions.set(Number(match[1]), { file: filePath, template: fs.readFileSync(filePath, 'utf8') });
+        }
+        if (versions.size > 0) templates.set(entry.name, versions);
+    }
+
+    const manifestPath = path.join(PROMPTS_DIR, MANIFEST_FILE);
+    const manifest = fs.existsSync(manifestPath)
+        ? readJsonObject(fs.readFileSync(manifestPath, 'utf8'), MANIFEST_FILE)
+        : {};
+    const overrides = readJsonObject(process.env.PROMPT_VERSIONS, 'PROMPT_VERSIONS');
+
+    console.log(`[Prompts] Loaded ${templates.size} prompt template(s) from ${PROMPTS_DIR}`);
+    return { templates, manifest, overrides, loadedAt: new Date().toISOString() };
+}
+
+function getRegistry() {
+    if (!registry) registry = loadRegistry();
+    return registry;
+}
+
+/**
+ * Active version of a template: PROMPT_VERSIONS, then active.json, then latest.
+ * A pin naming a version that doesn't exist is skipped with a warning.
+ * @returns {{ version: number, source: 'env'|'manifest'|'latest' }}
+ */
+function resolveActiveVersion(id) {
+    const { templates, manifest, overrides } = getRegistry();
+    const versions = templates.get(id);
+    if (!versions) throw new Error(`Unknown prompt template: ${id}`);
+    const latest = Math.max(...versions.keys());
+
+    for (const [source, pins] of [['env', overrides], ['manifest', manifest]]) {
+        if (pins[id] === undefined) continue;
+        const pinned = Number(String(pins[id]).replace(/^v/i, ''));
+        if (versions.has(pinned)) return { version: pinned, source };
+        console.warn(`[Prompts] Ignoring ${source} pin of ${id} to missing version ${pins[id]}`);
+    }
+    return { version: latest, source: 'latest' };
+}
+
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'string') return value.trim() !== '';
+    return Boolean(value);
+}
+
+function renderTemplate(template, variables) {
+    return template.replace(PLACEHOLDER_PATTERN, (match, kind, sectionName, body, variableName) => {
+        if (kind) {
+            const keep = (kind === '#') === isTruthy(variables[sectionName]);
+            return keep ? renderTemplate(body, variables) : '';
+        }
+        const value = variables[variableName];
+        if (value === undefined || value === null) return '';
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    });
+}
+
+/**
+ * Render a prompt template.
+ * @param {string} id - Template id (directory name under PROMPTS_DIR)
+ * @param {object} variables - Values for {{placeholders}} and {{#sections}}
+ * @param {object} [options]
+ * @param {number} [options.version] - Render this version instead of the active one
+ * @returns {{ id: string, version: number, text: string }}
+ */
+function renderPrompt(id, variables = {}, options = {}) {
+    const versions = getRegistry().templates.get(id);
+    if (!versions) throw new Error(`Unknown prompt template: ${id}`);
+    const version = options.version !== undefined && options.version !== null
+        ? Number(String(options.version).replace(/^v/i, ''))
+        : resolveActiveVersion(id).version;
+    const entry = versions.get(version);
+    if (!entry) throw new Error(`Unknown prompt version: ${id} v${options.version}`);
+
+    return { id, version, text: renderTemplate(entry.template, variables).trim() };
+}
+
+/**
+ * Every template id with its available versions and the active one.
+ */
+function listPrompts() {
+    const { templates } = getRegistry();
+    return [...templates.keys()].sort().map((id) => {
+        const versions = [...templates.get(id).keys()].sort((a, b) => a - b);
+        const { version, source } = resolveActiveVersion(id);
+        return {
+            id,
+            activeVersion: version,
+            source,
+            versions,
+            file: path.relative(process.cwd(), templates.get(id).get(version).file)
+        };
+    });
+}
+
+/**
+ * Re-read templates and the manifest from disk (picks up analyst edits without a restart).
+ */
+function reloadPrompts() {
+    registry = loadRegistry();
+    return listPrompts();
+}
+
+function getPromptsLoadedAt() {
+    return getRegistry().loadedAt;
+}
+
+/**
+ * Whether a template id has the given version on disk.
+ */
+function hasPromptVersion(id, version) {
+    return Boolean(getRegistry().templates.get(id)?.has(Number(version)));
+}
+
+module.exports = {
+    PROMPTS_DIR,
+    renderPrompt,
+    hasPromptVersion,
+    listPrompts,
+    reloadPrompts,
+    getPromptsLoadedAt
+};
@@ -0,0 +1,112 @@
+/**
+ * AI provider registry.
+ * Each provider declares its name, required env vars, capabilities and model id,
+ * plus the function used to call it: async (prompt, options) => parsed JSON.
+ *
+ * Routing order:
+ *   1. AI_PROVIDER_PRIMARY (default: openai)
+ *   2. AI_PROVIDER_FALLBACK_ORDER (comma-separated), else registered fallbackPriority
+ * Providers whose env vars are missing are left out of the order.
+ */
+
+const DEFAULT_PRIMARY_PROVIDER = 'openai';
+
+const providers = new Map();
+
+/**
+ * @param {object} definition
+ * @param {string} definition.name
+ * @param {string[]} definition.envVars - All must be set for the provider to be used
+ * @param {{webSearch: boolean, jsonMode: boolean}} definition.capabilities
+ * @param {string} [definition.model]
+ * @param {string} [definition.modelEnvVar] - Env var naming the model, read at call time (overrides model)
+ * @param {number} definition.fallbackPriority - Lower runs earlier as a fallback
+ * @param {function} definition.call - async (prompt, options) => object
+ *   options: { timeoutMs, model, usagePurpose, onRawResponse(text) } — onRawResponse receives
+ *   the unparsed answer (used to record eval fixtures)
+ */
+function registerProvider(definition) {
+    if (!definition?.name || typeof definition.call !== 'function') {
+        throw new Error('Provider definition requires a name and a call function');
+    }
+    const name = String(definition.name).toLowerCase();
+    providers.set(name, {
+        name,
+        envVars: Array.isArray(definition.envVars) ? definition.envVars : [],
+        capabilities: {
+            webSearch: Boolean(definition.capabilities?.webSearch),
+            jsonMode: Boolean(definition.capabilities?.jsonMode)
+        },
+        model: definition.model || null,
+        modelEnvVar: definition.modelEnvVar || null,
+        fallbackPriority: Number.isFinite(definition.fallbackPriority) ? definition.fallbackPriority : 100,
+        call: definition.call
+    });
+}
+
+function getProvider(name) {
+    return providers.get(String(name || '').toLowerCase()) || null;
+}
+
+function getProviderModel(provider) {
+    return (provider.modelEnvVar && process.env[provider.modelEnvVar]) || provider.model;
+}
+
+function isProviderConfigured(provider) {
+    return Boolean(provider) && provider.envVars.every((envVar) => Boolean(process.env[envVar]));
+}
+
+function parseProviderList(value) {
+    return String(value || '')
+        .split(',')
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Primary first, then fallbacks; only registered, configured providers.
+ * @returns {string[]}
+ */
+function getProviderOrder() {
+    const configuredPrimary = String(process.env.AI_PROVIDER_PRIMARY || DEFAULT_PRIMARY_PROVIDER).toLowerCase();
+    const primary = providers.has(configuredPrimary) ? configuredPrimary : DEFAULT_PRIMARY_PROVIDER;
+
+    const explicitFallbacks = parseProviderList(process.env.AI_PROVIDER_FALLBACK_ORDER);
+    const fallbacks = explicitFallbacks.length > 0
+        ? explicitFallbacks
+        : [...providers.values()]
+            .sort((a, b) => a.fallbackPriority - b.fallbackPriority)
+            .map((provider) => provider.name);
+
+    const order = [];
+    for (const name of [primary, ...fallbacks]) {
+        if (order.includes(name)) continue;
+        if (!isProviderConfigured(getProvider(name))) continue;
+        order.push(name);
+    }
+    return order;
+}
+
+/**
+ * Public description of registered providers (no secrets).
+ */
+function describeProviders() {
+    const order = getProviderOrder();
+    return [...providers.values()].map((provider) => ({
+        name: provider.name,
+        model: getProviderModel(provider),
+        capabilities: provider.capabilities,
+        envVars: provider.envVars,
+        configured: isProviderConfigured(provider),
+        position: order.indexOf(provider.name)
+    }));
+}
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    getProviderModel,
+    isProviderConfigured,
+    getProviderOrder,
+    describeProviders
+};
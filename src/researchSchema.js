@@ -0,0 +1,264 @@
+const Ajv = require('ajv');
+
+/**
+ * JSON Schemas for AI research output (mirrors the prompt examples in buildJsonSchema)
+ * plus validation with light coercion, used to decide whether a provider response
+ * needs a repair round-trip.
+ *
+ * Shapes that normalizeResearchOutput already flattens (icp/funding/support objects,
+ * grouped features, {tiers} pricing) are accepted here on purpose.
+ */
+
+const nullableString = { type: ['string', 'null'] };
+const stringOrObject = { type: ['string', 'object', 'null'] };
+const stringArray = { type: 'array', items: { type: 'string' } };
+const scalar = { type: ['string', 'number', 'null'] };
+
+const pricingTierSchema = {
+    type: 'object',
+    properties: {
+        tier: nullableString,
+        price: scalar,
+        period: nullableString,
+        features: stringArray
+    }
+};
+
+// sanitizeCompetitor also accepts url/website/name when domain is missing.
+const competitorSchema = {
+    type: 'object',
+    properties: {
+        domain: nullableString,
+        name: nullableString,
+        reason: nullableString,
+        differentiator: nullableString
+    }
+};
+
+const researchProperties = {
+    name: { type: 'string', minLength: 1 },
+    domain: nullableString,
+    usp: nullableString,
+    icp: stringOrObject,
+    tone: nullableString,
+    about: nullableString,
+    industry: nullableString,
+    niche: nullableString,
+    productModel: nullableString,
+    yearFounded: nullableString,
+    headquarters: nullableString,
+    teamSize: nullableString,
+    activeHours: nullableString,
+    funding: stringOrObject,
+    features: { type: 'array', items: { type: ['string', 'object'] } },
+    integrations: stringArray,
+    techStack: stringArray,
+    pricing: {
+        anyOf: [
+            { type: 'array', items: pricingTierSchema },
+            { type: 'object', required: ['tiers'], properties: { tiers: { type: 'array', items: pricingTierSchema } } }
+        ]
+    },
+    founders: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: { name: nullableString, role: nullableString, background: nullableString, linkedin: nullableString }
+        }
+    },
+    compliance: stringArray,
+    reviews: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: { platform: nullableString, score: scalar, count: scalar, summary: nullableString }
+        }
+    },
+    caseStudies: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: { company: nullableString, result: nullableString, industry: nullableString }
+        }
+    },
+    notableCustomers: stringArray,
+    social: { type: 'object', additionalProperties: nullableString },
+    support: stringOrObject,
+    contact: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: { label: nullableString, value: nullableString, type: nullableString }
+        }
+    },
+    limitations: stringArray,
+    commonObjections: stringArray,
+    blogTopics: stringArray,
+    contentStrategy: nullableString,
+    segments: stringArray,
+    contentThemes: stringArray,
+    partnerships: stringArray,
+    competitors: { type: 'array', items: competitorSchema },
+    strengthVsTarget: nullableString,
+    weaknessVsTarget: nullableString,
+    pricingComparison: nullableString,
+    marketPositionVsTarget: nullableString,
+    confidence: { enum: ['high', 'medium', 'low', null] },
+    confidenceNotes: nullableString,
+    searchesPerformed: stringArray,
+    researchDate: nullableString
+};
+
+const SCHEMAS = {
+    research: {
+        $id: 'research',
+        type: 'object',
+        required: ['name'],
+        properties: researchProperties
+    },
+    // Post-call enrichment only fills gaps, so nothing is required.
+    enrichment: {
+        $id: 'enrichment',
+        type: 'object',
+        properties: { ...researchProperties, name: nullableString }
+    },
+    competitorDiscovery: {
+        $id: 'competitorDiscovery',
+        type: 'object',
+        required: ['competitors'],
+        properties: {
+            competitors: { type: 'array', items: competitorSchema }
+        }
+    }
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = Object.fromEntries(
+    Object.entries(SCHEMAS).map(([name, schema]) => [name, ajv.compile(schema)])
+);
+
+function typesOf(schema) {
+    if (!schema?.type) return [];
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Top-level coercions that keep the value's meaning:
+ * string -> [string], null -> [] / {}, number/boolean -> string, enum case fixes.
+ * @returns {{ value: any, coerced: boolean }}
+ */
+function coerceValue(value, schema) {
+    const types = typesOf(schema);
+
+    if (Array.isArray(schema?.enum) && typeof value === 'string' && !schema.enum.includes(value)) {
+        const match = schema.enum.find((option) => typeof option === 'string' && option.toLowerCase() === value.trim().toLowerCase());
+        if (match) return { value: match, coerced: true };
+    }
+    if (types.includes('array') && !types.includes('null')) {
+        if (value === null) return { value: [], coerced: true };
+        if (typeof value === 'string' && value.trim()) {
+            return { value: value.split(/\s*[,|;]\s*/).filter(Boolean), coerced: true };
+        }
+    }
+    if (types.includes('object') && !types.includes('null') && value === null) {
+        return { value: {}, coerced: true };
+    }
+    if (types.includes('string') && (typeof value === 'number' || typeof value === 'boolean')) {
+        return { value: String(value), coerced: true };
+    }
+    return { value, coerced: false };
+}
+
+function fieldFromError(error) {
+    if (error.keyword === 'required' && !error.instancePath) return error.params?.missingProperty || '(root)';
+    const [, field] = String(error.instancePath || '').split('/');
+    return field || '(root)';
+}
+
+function formatError(error) {
+    const location = error.instancePath || (error.params?.missingProperty ? `/${error.params.missingProperty}` : '/');
+    const allowed = error.params?.allowedValues ? ` (${error.params.allowedValues.map(String).join(', ')})` : '';
+    return `${location} ${error.message}${allowed}`;
+}
+
+/**
+ * Coerce and validate a parsed provider payload.
+ * @param {object} payload
+ * @param {string} schemaName - research | enrichment | competitorDiscovery
+ * @returns {{ data: object, valid: boolean, errors: string[], invalidFields: string[], coerced: string[] }}
+ */
+function validateResearchPayload(payload, schemaName = 'research') {
+    const schema = SCHEMAS[schemaName];
+    const validate = validators[schemaName];
+    if (!schema || !validate) throw new Error(`Unknown research schema: ${schemaName}`);
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return { data: payload, valid: false, errors: ['/ must be object'], invalidFields: ['(root)'], coerced: [] };
+    }
+
+    const data = { ...payload };
+    const coerced = [];
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+        if (!(field in data)) continue;
+        const result = coerceValue(data[field], fieldSchema);
+        if (result.coerced) {
+            data[field] = result.value;
+            coerced.push(field);
+        }
+    }
+
+    const valid = validate(data);
+    const errors = valid ? [] : validate.errors.map(formatError);
+    const invalidFields = valid ? [] : [...new Set(validate.errors.map(fieldFromError))];
+    return { data, valid, errors, invalidFields, coerced };
+}
+
+/**
+ * Drop fields that still fail validation so normalizeResearchOutput can default them.
+ * Required fields and the root are never dropped.
+ * @returns {{ data: object, dropped: string[] }}
+ */
+function dropInvalidFields(data, invalidFields, schemaName = 'research') {
+    const required = SCHEMAS[schemaName]?.required || [];
+    const result = { ...data };
+    const dropped = [];
+    for (const field of invalidFields) {
+        if (field === '(root)' || required.includes(field) || !(field in result)) continue;
+        delete result[field];
+        dropped.push(field);
+    }
+    return { data: result, dropped };
+}
+
+/**
+ * Follow-up prompt asking the same provider to fix its own output.
+ * @param {string} originalPrompt
+ * @param {object} failure
+ * @param {string[]} [failure.errors] - Schema errors
+ * @param {string} [failure.parseError] - JSON syntax error message
+ * @param {string} failure.previousOutput - Raw text or JSON of the rejected answer
+ */
+function buildRepairPrompt(originalPrompt, { errors = [], parseError = null, previousOutput = '' }) {
+    const problems = parseError
+        ? `- The response was not valid JSON: ${parseError}`
+        : errors.slice(0, 30).map((error) => `- ${error}`).join('\n');
+
+    return `${originalPrompt}
+
+---
+YOUR PREVIOUS RESPONSE WAS REJECTED. Problems:
+${problems}
+
+PREVIOUS RESPONSE (truncated):
+${String(previousOutput || '').slice(0, 12000)}
+
+Return the corrected response as ONE valid JSON object that follows the schema above.
+Keep every value that was already correct; use null or [] for anything you cannot verify. No markdown, no commentary.`;
+}
+
+module.exports = {
+    RESEARCH_SCHEMAS: SCHEMAS,
+    validateResearchPayload,
+    dropInvalidFields,
+    buildRepairPrompt
+};
@@ -0,0 +1,496 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { normalizeDomainForCache } = require('./cacheService');
+
+/**
+ * Form session repository (token -> onboarding form payload and lifecycle).
+ * Stores: file (default, one JSON file per token), sqlite (requires better-sqlite3)
+ * or airtable (dedicated Sessions table looked up by its Token field).
+ *
+ * Session shape:
+ *   { token, domain, clientName, status, payload, draft, draftSavedAt, createdAt, expiresAt, openedAt,
+ *     completedAt, revokedAt, replacedBy, voiceFinishedAt, clientRecordId, corrections, updatedAt }
+ * payload holds what the form renders (clientData, competitors, competitorDetails, blogPosts);
+ * draft holds the client's autosaved partial answers (see DRAFT_FIELDS).
+ * Stored status is PENDING, IN_PROGRESS (draft saved), COMPLETED or REVOKED;
+ * EXPIRED is derived from expiresAt for sessions that are still open.
+ * Links issued before this repository existed are copied in once by scripts/migrate-legacy-sessions.js.
+ */
+
+const SESSION_STORE = String(process.env.SESSION_STORE || 'file').toLowerCase();
+const SESSION_DIR = process.env.SESSION_DIR || path.join(process.cwd(), '.cache', 'sessions');
+const SESSION_SQLITE_PATH = process.env.SESSION_SQLITE_PATH || path.join(process.cwd(), '.cache', 'sessions.db');
+const AIRTABLE_API_URL = 'https://api.airtable.com/v0';
+
+const SESSION_STATUS = {
+    PENDING: 'PENDING',
+    IN_PROGRESS: 'IN_PROGRESS',
+    COMPLETED: 'COMPLETED',
+    REVOKED: 'REVOKED',
+    EXPIRED: 'EXPIRED'
+};
+const OPEN_STATUSES = [SESSION_STATUS.PENDING, SESSION_STATUS.IN_PROGRESS];
+const AIRTABLE_PAGE_SIZE = 100;
+
+// Draft keys the form may autosave; clientData is merged field by field, the rest replace wholesale.
+const DRAFT_FIELDS = ['clientData', 'likedPosts', 'customUrls', 'competitors', 'compData', 'elevenLabsData'];
+
+function safeJsonParse(value, fallback = null) {
+    if (!value || typeof value !== 'string') return fallback;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+}
+
+// ============================================
+// STORES
+// Each store exposes get(token), put(session) (insert or replace) and list(filters) (newest first).
+// list filters ({ status, domain, limit }) are a hint stores may push down; listSessions re-checks them.
+// ============================================
+
+function createFileStore(dir) {
+    const fileFor = (token) => path.join(dir, `${crypto.createHash('sha1').update(token).digest('hex')}.json`);
+
+    return {
+        name: 'file',
+        async get(token) {
+            try {
+                const session = JSON.parse(await fs.promises.readFile(fileFor(token), 'utf8'));
+                return session?.token === token ? session : null;
+            } catch {
+                return null;
+            }
+        },
+        async put(session) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const target = fileFor(session.token);
+            const tmp = `${target}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify(session));
+            await fs.promises.rename(tmp, target);
+        },
+        async list() {
+            let files = [];
+            try {
+                files = (await fs.promises.readdir(dir)).filter((file) => file.endsWith('.json'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+            const sessions = [];
+            for (const file of files) {
+                try {
+                    sessions.push(JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8')));
+                } catch {
+                    // Half-written or foreign file
+                }
+            }
+            return sessions
+                .filter((session) => session?.token)
+                .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+        }
+    };
+}
+
+function createSqliteStore(dbPath) {
+    const Database = require('better-sqlite3');
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    const db = new Database(dbPath);
+    db.exec(`CREATE TABLE IF NOT EXISTS form_sessions (
+        token TEXT PRIMARY KEY,
+        domain TEXT,
+        status TEXT,
+        created_at TEXT,
+        expires_at TEXT,
+        data TEXT
+    )`);
+    db.exec('CREATE INDEX IF NOT EXISTS form_sessions_created_at ON form_sessions (created_at)');
+    const selectStmt = db.prepare('SELECT data FROM form_sessions WHERE token = ?');
+    const listStmt = db.prepare('SELECT data FROM form_sessions ORDER BY created_at DESC');
+    const upsertStmt = db.prepare('INSERT OR REPLACE INTO form_sessions (token, domain, status, created_at, expires_at, data) VALUES (?, ?, ?, ?, ?, ?)');
+
+    return {
+        name: 'sqlite',
+        async get(token) {
+            const row = selectStmt.get(token);
+            return row ? safeJsonParse(row.data) : null;
+        },
+        async put(session) {
+            upsertStmt.run(session.token, session.domain, session.status, session.createdAt, session.expiresAt, JSON.stringify(session));
+        },
+        async list() {
+            return listStmt.all().map((row) => safeJsonParse(row.data)).filter(Boolean);
+        }
+    };
+}
+
+/**
+ * Airtable Sessions table, one record per token. Expected fields:
+ * Token, Domain, Client Name, Status, Created At, Expires At, Opened At, Completed At, Revoked At, Replaced By,
+ * Voice Finished At, Client Record ID, Updated At, Draft Saved At, Form Payload, Draft and Corrections (long text JSON).
+ */
+function createAirtableStore() {
+    const { AIRTABLE_API_KEY, AIRTABLE_BASE_ID } = process.env;
+    const tableName = process.env.AIRTABLE_SESSIONS_TABLE || 'Sessions';
+    if (!AIRTABLE_API_KEY || !AIRTABLE_BASE_ID) {
+        throw new Error('Airtable configuration incomplete. Check AIRTABLE_API_KEY and AIRTABLE_BASE_ID in .env');
+    }
+    const baseUrl = `${AIRTABLE_API_URL}/${AIRTABLE_BASE_ID}/${encodeURIComponent(tableName)}`;
+    const headers = { 'Authorization': `Bearer ${AIRTABLE_API_KEY}`, 'Content-Type': 'application/json' };
+    // token -> record id, so updates skip the lookup
+    const recordIds = new Map();
+
+    const toFields = (session) => ({
+        'Token': session.token,
+        'Domain': session.domain || '',
+        'Client Name': session.clientName || '',
+        'Status': session.status,
+        'Created At': session.createdAt,
+        'Expires At': session.expiresAt || null,
+        'Opened At': session.openedAt || null,
+        'Completed At': session.completedAt || null,
+        'Revoked At': session.revokedAt || null,
+        'Replaced By': session.replacedBy || '',
+        'Voice Finished At': session.voiceFinishedAt || null,
+        'Client Record ID': session.clientRecordId || '',
+        'Updated At': session.updatedAt,
+        'Draft Saved At': session.draftSavedAt || null,
+        'Form Payload': JSON.stringify(session.payload || {}),
+        'Draft': session.draft ? JSON.stringify(session.draft) : '',
+        'Corrections': session.corrections ? JSON.stringify(session.corrections) : ''
+    });
+
+    const fromRecord = (record) => {
+        const fields = record.fields || {};
+        return {
+            token: fields['Token'],
+            domain: fields['Domain'] || '',
+            clientName: fields['Client Name'] || '',
+            status: fields['Status'] || SESSION_STATUS.PENDING,
+            payload: safeJsonParse(fields['Form Payload'], {}),
+            draft: safeJsonParse(fields['Draft'], null),
+            draftSavedAt: fields['Draft Saved At'] || null,
+            corrections: safeJsonParse(fields['Corrections'], null),
+            createdAt: fields['Created At'] || null,
+            expiresAt: fields['Expires At'] || null,
+            openedAt: fields['Opened At'] || null,
+            completedAt: fields['Completed At'] || null,
+            revokedAt: fields['Revoked At'] || null,
+            replacedBy: fields['Replaced By'] || null,
+            voiceFinishedAt: fields['Voice Finished At'] || null,
+            clientRecordId: fields['Client Record ID'] || null,
+            updatedAt: fields['Updated At'] || null
+        };
+    };
+
+    // Same match as listSessions' status/domain filters, so Airtable can stop at `limit` records.
+    function buildListFormula({ status, domain }) {
+        const clauses = [];
+        if (domain) {
+            const pattern = domain.replace(/\./g, '[.]');
+            clauses.push(`REGEX_MATCH(LOWER({Domain}), "^(https?://)?(www[.])?${pattern}([:/].*)?$")`);
+        }
+        if (status) {
+            const expired = 'IF({Expires At}, IS_BEFORE(DATETIME_PARSE({Expires At}), NOW()), FALSE())';
+            const isStatus = (value) => `{Status} = "${value}"`;
+            if (status === SESSION_STATUS.EXPIRED) {
+                clauses.push(`AND(OR(${OPEN_STATUSES.map(isStatus).join(', ')}), ${expired})`);
+            } else if (OPEN_STATUSES.includes(status)) {
+                clauses.push(`AND(${isStatus(status)}, NOT(${expired}))`);
+            } else {
+                clauses.push(Object.values(SESSION_STATUS).includes(status) ? isStatus(status) : 'FALSE()');
+            }
+        }
+        if (clauses.length === 0) return null;
+        return clauses.length === 1 ? clauses[0] : `AND(${clauses.join(', ')})`;
+    }
+
+    async function findRecord(token) {
+        const filterByFormula = `{Token} = "${String(token).replace(/"/g, '\\"')}"`;
+        const response = await axios.get(baseUrl, {
+            headers,
+            params: { maxRecords: 1, filterByFormula }
+        });
+        return response?.data?.records?.[0] || null;
+    }
+
+    return {
+        name: 'airtable',
+        async get(token) {
+            const record = await findRecord(token);
+            if (!record) return null;
+            recordIds.set(token, record.id);
+            return fromRecord(record);
+        },
+        async put(session) {
+            const recordId = recordIds.get(session.token) || (await findRecord(session.token))?.id;
+            const response = recordId
+                ? await axios.patch(`${baseUrl}/${recordId}`, { fields: toFields(session), typecast: true }, { headers })
+                : await axios.post(baseUrl, { fields: toFields(session), typecast: true }, { headers });
+            recordIds.set(session.token, response.data.id);
+        },
+        async list({ status = null, domain = null, limit = null } = {}) {
+            // Domains outside the plain hostname charset aren't pushed into the formula; listSessions filters them.
+            const pushDomain = domain && /^[a-z0-9.-]+$/.test(domain) ? domain : null;
+            const filterByFormula = buildListFormula({ status, domain: pushDomain });
+            const exact = !domain || Boolean(pushDomain);
+            const sessions = [];
+            let offset;
+            do {
+                const response = await axios.get(baseUrl, {
+                    headers,
+                    params: {
+                        pageSize: AIRTABLE_PAGE_SIZE,
+                        sort: [{ field: 'Created At', direction: 'desc' }],
+                        ...(filterByFormula ? { filterByFormula } : {}),
+                        ...(exact && limit ? { maxRecords: limit } : {}),
+                        ...(offset ? { offset } : {})
+                    }
+                });
+                for (const record of response?.data?.records || []) {
+                    if (!record.fields?.['Token']) continue;
+                    recordIds.set(record.fields['Token'], record.id);
+                    sessions.push(fromRecord(record));
+                }
+                offset = response?.data?.offset;
+            } while (offset);
+            return sessions;
+        }
+    };
+}
+
+let activeStore = null;
+
+function getSessionStore() {
+    if (activeStore) return activeStore;
+    if (SESSION_STORE === 'airtable') {
+        activeStore = createAirtableStore();
+    } else if (SESSION_STORE === 'sqlite') {
+        try {
+            activeStore = createSqliteStore(SESSION_SQLITE_PATH);
+        } catch (error) {
+            const reason = error.code === 'MODULE_NOT_FOUND' ? 'better-sqlite3 not installed' : error.message;
+            console.warn(`[Sessions] SQLite store unavailable (${reason}); falling back to file store`);
+        }
+    }
+    if (!activeStore) {
+        activeStore = createFileStore(SESSION_DIR);
+    }
+    console.log(`[Sessions] Using ${activeStore.name} store`);
+    return activeStore;
+}
+
+// ============================================
+// REPOSITORY API
+// ============================================
+
+/**
+ * Create a PENDING session for a new form token.
+ * @param {object} params
+ * @param {string} params.token
+ * @param {string} params.domain
+ * @param {string} [params.clientName]
+ * @param {object} [params.payload] - Form data (clientData, competitors, competitorDetails, blogPosts)
+ * @param {number} [params.ttlDays]
+ */
+async function createSession({ token, domain, clientName, payload = {}, ttlDays = 3 }) {
+    const now = new Date();
+    const ttlMs = Math.max(1, Number(ttlDays) || 3) * 24 * 60 * 60 * 1000;
+    const session = {
+        token,
+        domain,
+        clientName: clientName || domain,
+        status: SESSION_STATUS.PENDING,
+        payload,
+        draft: null,
+        draftSavedAt: null,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + ttlMs).toISOString(),
+        openedAt: null,
+        completedAt: null,
+        revokedAt: null,
+        replacedBy: null,
+        voiceFinishedAt: null,
+        clientRecordId: null,
+        corrections: null,
+        updatedAt: now.toISOString()
+    };
+    await getSessionStore().put(session);
+    return session;
+}
+
+/**
+ * Store a link issued before the Sessions store (see listLegacyOnboardingSessions in airtableService).
+ * Tokens already in the store are left alone. Returns the imported session, or null when skipped.
+ * @param {object} legacy - { recordId, domain, clientName, session, formPayload }
+ */
+async function importLegacySession(legacy) {
+    const token = String(legacy.session.token);
+    if (await getSessionStore().get(token)) return null;
+
+    const { session: meta, formPayload = {} } = legacy;
+    const completed = String(meta.status || '').toUpperCase() === SESSION_STATUS.COMPLETED;
+    const now = new Date().toISOString();
+    const session = {
+        token,
+        domain: formPayload?.domain || legacy.domain,
+        clientName: formPayload?.clientName || legacy.clientName || legacy.domain,
+        status: completed ? SESSION_STATUS.COMPLETED : SESSION_STATUS.PENDING,
+        payload: {
+            clientData: formPayload?.clientData || null,
+            competitors: formPayload?.competitors || [],
+            competitorDetails: formPayload?.competitorDetails || {},
+            blogPosts: formPayload?.blogPosts || []
+        },
+        draft: null,
+        draftSavedAt: null,
+        createdAt: meta.createdAt || now,
+        expiresAt: meta.expiresAt || null,
+        openedAt: null,
+        completedAt: completed ? meta.completedAt || now : null,
+        revokedAt: null,
+        replacedBy: null,
+        voiceFinishedAt: null,
+        // The legacy session lived on the client record itself, so submissions keep updating it.
+        clientRecordId: legacy.recordId,
+        corrections: null,
+        updatedAt: now
+    };
+    await getSessionStore().put(session);
+    console.log(`[Sessions] Imported legacy form session ${token} for ${session.domain}`);
+    return session;
+}
+
+/**
+ * Stored session for a token regardless of status or expiry, or null.
+ */
+async function getSession(token) {
+    if (!token) return null;
+    return getSessionStore().get(String(token));
+}
+
+/**
+ * Merge fields into a stored session. Returns the updated session, or null when the token is unknown.
+ */
+async function updateSession(token, patch = {}) {
+    const current = await getSession(token);
+    if (!current) return null;
+    const session = { ...current, ...patch, token: current.token, updatedAt: new Date().toISOString() };
+    await getSessionStore().put(session);
+    return session;
+}
+
+async function completeSession(token, { clientRecordId = null, corrections = null } = {}) {
+    return updateSession(token, {
+        status: SESSION_STATUS.COMPLETED,
+        completedAt: new Date().toISOString(),
+        ...(clientRecordId ? { clientRecordId } : {}),
+        ...(corrections ? { corrections } : {})
+    });
+}
+
+/**
+ * Merge autosaved form state into the session draft and mark an open session IN_PROGRESS.
+ * Unknown keys are ignored. Returns the updated session, or null when the token is unknown.
+ * @param {string} token
+ * @param {object} changes - Subset of DRAFT_FIELDS
+ */
+async function saveSessionDraft(token, changes = {}) {
+    const current = await getSession(token);
+    if (!current) return null;
+    const draft = { ...(current.draft || {}) };
+    for (const field of DRAFT_FIELDS) {
+        if (changes[field] === undefined) continue;
+        draft[field] = field === 'clientData'
+            ? { ...(draft.clientData || {}), ...changes.clientData }
+            : changes[field];
+    }
+    const status = String(current.status || '').toUpperCase() === SESSION_STATUS.PENDING
+        ? SESSION_STATUS.IN_PROGRESS
+        : current.status;
+    return updateSession(token, { draft, draftSavedAt: new Date().toISOString(), status });
+}
+
+async function revokeSession(token, { replacedBy = null } = {}) {
+    return updateSession(token, {
+        status: SESSION_STATUS.REVOKED,
+        revokedAt: new Date().toISOString(),
+        ...(replacedBy ? { replacedBy } : {})
+    });
+}
+
+/**
+ * Push expiresAt out by ttlDays, counting from now when the link has already expired.
+ */
+async function extendSession(token, ttlDays) {
+    const current = await getSession(token);
+    if (!current) return null;
+    const ttlMs = Math.max(1, Number(ttlDays) || 3) * 24 * 60 * 60 * 1000;
+    const currentExpiresAtMs = current.expiresAt ? Date.parse(current.expiresAt) : Number.NaN;
+    const fromMs = Number.isFinite(currentExpiresAtMs) ? Math.max(Date.now(), currentExpiresAtMs) : Date.now();
+    return updateSession(token, { expiresAt: new Date(fromMs + ttlMs).toISOString() });
+}
+
+function isSessionExpired(session, now = Date.now()) {
+    const expiresAtMs = session?.expiresAt ? Date.parse(session.expiresAt) : Number.NaN;
+    return Number.isFinite(expiresAtMs) && now > expiresAtMs;
+}
+
+/**
+ * Stored status, except open (PENDING / IN_PROGRESS) sessions past expiresAt report EXPIRED.
+ */
+function getEffectiveStatus(session, now = Date.now()) {
+    const status = String(session?.status || SESSION_STATUS.PENDING).toUpperCase();
+    return OPEN_STATUSES.includes(status) && isSessionExpired(session, now) ? SESSION_STATUS.EXPIRED : status;
+}
+
+function isSessionOpen(session, now = Date.now()) {
+    return OPEN_STATUSES.includes(getEffectiveStatus(session, now));
+}
+
+/**
+ * Sessions newest first, each with its effective status.
+ * @param {object} [filters]
+ * @param {string} [filters.status] - PENDING | IN_PROGRESS | COMPLETED | EXPIRED | REVOKED
+ * @param {string} [filters.domain]
+ * @param {number} [filters.limit]
+ */
+async function listSessions({ status = null, domain = null, limit = 200 } = {}) {
+    const wantedStatus = status ? String(status).toUpperCase() : null;
+    const wantedDomain = domain ? normalizeDomainForCache(domain) : null;
+    const now = Date.now();
+    const sessions = [];
+    for (const session of await getSessionStore().list({ status: wantedStatus, domain: wantedDomain, limit })) {
+        const effectiveStatus = getEffectiveStatus(session, now);
+        if (wantedStatus && effectiveStatus !== wantedStatus) continue;
+        if (wantedDomain && normalizeDomainForCache(session.domain) !== wantedDomain) continue;
+        sessions.push({ ...session, status: effectiveStatus });
+        if (sessions.length >= limit) break;
+    }
+    return sessions;
+}
+
+function getSessionStoreName() {
+    return getSessionStore().name;
+}
+
+module.exports = {
+    SESSION_STATUS,
+    DRAFT_FIELDS,
+    createSession,
+    getSession,
+    importLegacySession,
+    updateSession,
+    completeSession,
+    saveSessionDraft,
+    revokeSession,
+    extendSession,
+    listSessions,
+    isSessionExpired,
+    getEffectiveStatus,
+    isSessionOpen,
+    getSessionStoreName
+};
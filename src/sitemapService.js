@@ -0,0 +1,203 @@
+const { politeGet } = require("./fetchService");
+const cheerio = require("cheerio");
+const zlib = require("zlib");
+
+/**
+ * Sitemap discovery: robots.txt -> Sitemap directives -> (nested) sitemaps,
+ * plus /llms.txt and /llms-full.txt.
+ * Output: categorized URL inventory, no page content
+ */
+
+const SITEMAP_FETCH_TIMEOUT_MS = 8000;
+const SITEMAP_MAX_FILES = 25;
+const SITEMAP_MAX_DEPTH = 3;
+const SITEMAP_MAX_URLS = 5000;
+const LLMS_TXT_MAX_CHARS = 100000;
+const DEFAULT_SITEMAP_PATHS = ["/sitemap.xml", "/sitemap_index.xml"];
+
+const URL_CATEGORIES = {
+    blog: [/\/blog(s)?\//i, /\/posts?\//i, /\/articles?\//i, /\/news\//i, /\/insights\//i, /\/resources\//i, /\/guides?\//i],
+    docs: [/\/docs?\//i, /\/documentation\//i, /\/api\//i, /\/developers?\//i, /\/help\//i, /\/support\//i, /\/knowledge-base\//i],
+    pricing: [/\/pricing/i, /\/plans/i],
+    product: [/\/products?(\/|$)/i, /\/features?(\/|$)/i, /\/solutions?(\/|$)/i, /\/integrations?(\/|$)/i, /\/platform(\/|$)/i, /\/use-cases?(\/|$)/i],
+    legal: [/\/privacy/i, /\/terms/i, /\/legal/i, /\/cookies?(\/|$|-)/i, /\/gdpr/i, /\/dpa(\/|$)/i, /\/security(\/|$)/i]
+};
+
+async function fetchRaw(url, { binary = false } = {}) {
+    try {
+        return await politeGet(url, {
+            timeoutMs: SITEMAP_FETCH_TIMEOUT_MS,
+            retries: 1,
+            responseType: binary ? "arraybuffer" : "text"
+        });
+    } catch {
+        return null;
+    }
+}
+
+function looksLikeHtml(text) {
+    return /^\s*<(!doctype html|html)/i.test(String(text || ""));
+}
+
+/**
+ * Parse robots.txt into Sitemap directives and the raw content
+ */
+function parseRobotsTxt(content) {
+    const sitemaps = [];
+    for (const line of String(content || "").split(/\r?\n/)) {
+        const match = line.match(/^\s*sitemap\s*:\s*(\S+)/i);
+        if (match) sitemaps.push(match[1].trim());
+    }
+    return { sitemaps: [...new Set(sitemaps)] };
+}
+
+async function fetchRobotsTxt(domain) {
+    const url = `https://${domain}/robots.txt`;
+    const response = await fetchRaw(url);
+    const content = typeof response?.data === "string" ? response.data : null;
+    if (!content || looksLikeHtml(content)) {
+        return { found: false, url, content: null, sitemaps: [] };
+    }
+    return { found: true, url, content, ...parseRobotsTxt(content) };
+}
+
+async function fetchSitemapXml(url) {
+    const response = await fetchRaw(url, { binary: true });
+    if (!response?.data) return null;
+
+    let buffer = Buffer.from(response.data);
+    // gzip magic bytes; servers often send .xml.gz without Content-Encoding
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        try {
+            buffer = zlib.gunzipSync(buffer);
+        } catch {
+            return null;
+        }
+    }
+    const text = buffer.toString("utf8");
+    return /<(urlset|sitemapindex)[\s>]/i.test(text) ? text : null;
+}
+
+function parseSitemapXml(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const childSitemaps = $("sitemapindex > sitemap > loc")
+        .map((i, el) => $(el).text().trim())
+        .get()
+        .filter(Boolean);
+    const urls = $("urlset > url")
+        .map((i, el) => ({
+            loc: $(el).find("loc").first().text().trim(),
+            lastmod: $(el).find("lastmod").first().text().trim() || null
+        }))
+        .get()
+        .filter((entry) => entry.loc);
+    return { childSitemaps, urls };
+}
+
+/**
+ * Walk sitemap indexes breadth-first, bounded by file count, depth and URL count
+ */
+async function crawlSitemaps(rootUrls) {
+    const queue = rootUrls.map((url) => ({ url, depth: 0 }));
+    const visited = new Set();
+    const urls = new Map();
+    const fetched = [];
+
+    while (queue.length > 0 && visited.size < SITEMAP_MAX_FILES && urls.size < SITEMAP_MAX_URLS) {
+        const { url, depth } = queue.shift();
+        if (visited.has(url)) continue;
+        visited.add(url);
+
+        const xml = await fetchSitemapXml(url);
+        if (!xml) continue;
+        fetched.push(url);
+
+        const parsed = parseSitemapXml(xml);
+        if (depth < SITEMAP_MAX_DEPTH) {
+            for (const child of parsed.childSitemaps) {
+                if (!visited.has(child)) queue.push({ url: child, depth: depth + 1 });
+            }
+        }
+        for (const entry of parsed.urls) {
+            if (urls.size >= SITEMAP_MAX_URLS) break;
+            if (!urls.has(entry.loc)) urls.set(entry.loc, entry);
+        }
+    }
+
+    return { fetched, urls: [...urls.values()] };
+}
+
+function categorizeUrl(url) {
+    let pathname = url;
+    try {
+        pathname = new URL(url).pathname;
+    } catch { }
+    for (const [category, patterns] of Object.entries(URL_CATEGORIES)) {
+        if (patterns.some((pattern) => pattern.test(pathname))) return category;
+    }
+    return "other";
+}
+
+function categorizeUrls(urls) {
+    const categories = Object.fromEntries([...Object.keys(URL_CATEGORIES), "other"].map((k) => [k, []]));
+    for (const url of urls) {
+        categories[categorizeUrl(url)].push(url);
+    }
+    return categories;
+}
+
+async function fetchLlmsTxt(domain, path) {
+    const url = `https://${domain}${path}`;
+    const response = await fetchRaw(url);
+    const content = typeof response?.data === "string" ? response.data.trim() : "";
+    if (!content || looksLikeHtml(content)) return { found: false, url, content: null };
+    return { found: true, url, content: content.slice(0, LLMS_TXT_MAX_CHARS) };
+}
+
+// ============================================
+// MAIN: robots.txt + sitemaps + llms.txt for a domain
+// ============================================
+async function discoverSiteMetadata(domain) {
+    console.log(`[Sitemap] ═══ Discovering robots.txt, sitemaps and llms.txt for: ${domain} ═══`);
+
+    const [robotsTxt, llmsTxt, llmsFullTxt] = await Promise.all([
+        fetchRobotsTxt(domain),
+        fetchLlmsTxt(domain, "/llms.txt"),
+        fetchLlmsTxt(domain, "/llms-full.txt")
+    ]);
+
+    const rootSitemaps = robotsTxt.sitemaps.length > 0
+        ? robotsTxt.sitemaps
+        : DEFAULT_SITEMAP_PATHS.map((path) => `https://${domain}${path}`);
+    console.log(`[Sitemap] robots.txt ${robotsTxt.found ? 'found' : 'missing'} | ${rootSitemaps.length} root sitemap(s)`);
+
+    const crawl = await crawlSitemaps(rootSitemaps);
+    const urls = crawl.urls.map((entry) => entry.loc);
+    const categories = categorizeUrls(urls);
+
+    console.log(`[Sitemap] Fetched ${crawl.fetched.length} sitemap file(s), ${urls.length} URLs | llms.txt: ${llmsTxt.found ? 'Yes' : 'No'} | llms-full.txt: ${llmsFullTxt.found ? 'Yes' : 'No'}`);
+
+    return {
+        llmsTxt: llmsTxt.content,
+        llmsFullTxt: llmsFullTxt.content,
+        llms: {
+            llmsTxtUrl: llmsTxt.found ? llmsTxt.url : null,
+            llmsFullTxtUrl: llmsFullTxt.found ? llmsFullTxt.url : null
+        },
+        sitemap: {
+            sitemapUrl: crawl.fetched[0] || null,
+            sitemapsFetched: crawl.fetched,
+            totalUrls: urls.length,
+            urls: crawl.urls,
+            categories
+        },
+        robotsTxt: {
+            found: robotsTxt.found,
+            url: robotsTxt.url,
+            content: robotsTxt.content,
+            sitemaps: robotsTxt.sitemaps
+        }
+    };
+}
+
+module.exports = { discoverSiteMetadata, parseRobotsTxt, parseSitemapXml, categorizeUrl };
@@ -1,5 +1,7 @@
-const axios = require("axios");
 const cheerio = require("cheerio");
+const { extractPriceMentions, extractPricingForDomain } = require("./pricingExtractor");
+const { withRenderFallback } = require("./browserPool");
+const { politeGet } = require("./fetchService");
 
 /**
  * FASE 1: Scraping estructural SIN LLM
@@ -20,16 +22,18 @@ const KEY_PAGES = [
     "/compliance"
 ];
 
+const RENDER_TIMEOUT_MS = 12000;
+
+/**
+ * Fetch a page; JS shells with almost no text are re-fetched through the shared browser.
+ * @returns {Promise<{ $: import('cheerio').CheerioAPI, rendered: boolean }|null>}
+ */
 async function scrapePage(domain, path) {
     try {
         const url = `https://${domain}${path}`;
-        const { data } = await axios.get(url, {
-            timeout: 10000,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            }
-        });
-        return cheerio.load(data);
+        const { data } = await politeGet(url, { timeoutMs: 10000 });
+        const { html, rendered } = await withRenderFallback(url, typeof data === 'string' ? data : '', { timeoutMs: RENDER_TIMEOUT_MS });
+        return { $: cheerio.load(html), rendered };
     } catch {
         return null;
     }
@@ -115,6 +119,11 @@ async function scrapeStructuralData(domain) {
         industries: [],
         compliance_mentions: [],
         pricing_model: 'unknown',
+        pricing_plans: [],
+        pricing_prices: [],
+        pricing_tiers: [],
+        pricing_rendered: false,
+        rendered_pages: [],
         keywords: [],
         headline: null,
         subheadline: null,
@@ -123,25 +132,18 @@ async function scrapeStructuralData(domain) {
         page_results: {}
     };
 
-    const pageFetches = await Promise.allSettled([
-        scrapePage(domain, '/'),
-        scrapePage(domain, '/pricing'),
-        scrapePage(domain, '/features'),
-        scrapePage(domain, '/product'),
-        scrapePage(domain, '/about'),
-        scrapePage(domain, '/security'),
-        scrapePage(domain, '/compliance'),
-        scrapePage(domain, '/integrations')
-    ]);
+    const pagePaths = ['/', '/pricing', '/features', '/product', '/about', '/security', '/compliance', '/integrations'];
+    const pageFetches = await Promise.allSettled(pagePaths.map(path => scrapePage(domain, path)));
+
+    const pages = pageFetches.map(fetch => (fetch.status === 'fulfilled' ? fetch.value : null));
+    result.rendered_pages = pagePaths.filter((path, i) => pages[i]?.rendered);
 
-    const $home = pageFetches[0].status === 'fulfilled' ? pageFetches[0].value : null;
-    const $pricing = pageFetches[1].status === 'fulfilled' ? pageFetches[1].value : null;
-    const $features = (pageFetches[2].status === 'fulfilled' ? pageFetches[2].value : null)
-        || (pageFetches[3].status === 'fulfilled' ? pageFetches[3].value : null);
-    const $about = pageFetches[4].status === 'fulfilled' ? pageFetches[4].value : null;
-    const $security = (pageFetches[5].status === 'fulfilled' ? pageFetches[5].value : null)
-        || (pageFetches[6].status === 'fulfilled' ? pageFetches[6].value : null);
-    const $integrations = pageFetches[7].status === 'fulfilled' ? pageFetches[7].value : null;
+    const $home = pages[0]?.$ || null;
+    const $pricing = pages[1]?.$ || null;
+    const $features = pages[2]?.$ || pages[3]?.$ || null;
+    const $about = pages[4]?.$ || null;
+    const $security = pages[5]?.$ || pages[6]?.$ || null;
+    const $integrations = pages[7]?.$ || null;
 
     // Scrape homepage
     if ($home) {
@@ -160,7 +162,20 @@ async function scrapeStructuralData(domain) {
     if ($pricing) {
         const pricingText = $pricing('body').text();
         result.pricing_model = detectPricingModel(pricingText);
+        // Plan names are short ("Pro", "Team"), so not extractList's length filter
+        result.pricing_plans = [...new Set($pricing('h2, h3, h4, [class*="plan"] [class*="name"], [class*="tier"] [class*="name"]')
+            .map((i, el) => $pricing(el).text().replace(/\s+/g, ' ').trim())
+            .get()
+            .filter(text => text.length >= 2 && text.length <= 60))];
+        result.pricing_prices = extractPriceMentions(pricingText);
         result.page_results.pricing = 'success';
+
+        // Structured tiers (cards first, rendered page when the static HTML has none)
+        const { tiers, rendered } = await extractPricingForDomain(domain, $pricing, { alreadyRendered: Boolean(pages[1]?.rendered) });
+        result.pricing_tiers = tiers;
+        result.pricing_rendered = rendered || Boolean(pages[1]?.rendered);
+        result.pricing_plans = [...new Set([...result.pricing_plans, ...tiers.map(tier => tier.name)])];
+        result.pricing_prices = [...new Set([...result.pricing_prices, ...tiers.flatMap(tier => extractPriceMentions(tier.price))])];
     }
 
     // Scrape features/product
@@ -197,10 +212,25 @@ async function scrapeStructuralData(domain) {
         result.page_results.integrations = 'success';
     }
 
-    console.log(`[Structural] Results: ${Object.keys(result.page_results).length} pages scraped`);
+    console.log(`[Structural] Results: ${Object.keys(result.page_results).length} pages scraped${result.rendered_pages.length ? ` (${result.rendered_pages.length} rendered)` : ''}`);
     console.log(`[Structural] Value props: ${result.value_props.length}, Features: ${result.features.length}`);
     
     return result;
 }
 
-module.exports = { scrapeStructuralData, KEY_PAGES };
+/**
+ * Visible text of key pages, for models without web search.
+ * Output: [{ path, text }] with scripts/nav/footer stripped, capped per page
+ */
+async function scrapePageTexts(domain, paths = KEY_PAGES.slice(0, 6), maxCharsPerPage = 4000) {
+    const pages = await Promise.all(paths.map(async (path) => {
+        const $ = (await scrapePage(domain, path))?.$;
+        if (!$) return null;
+        $('script, style, noscript, svg, nav, footer, iframe').remove();
+        const text = $('body').text().replace(/\s+/g, ' ').trim();
+        return text.length > 50 ? { path, text: text.slice(0, maxCharsPerPage) } : null;
+    }));
+    return pages.filter(Boolean);
+}
+
+module.exports = { scrapeStructuralData, scrapePageTexts, KEY_PAGES };
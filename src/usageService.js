@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { normalizeDomainForCache } = require('./cacheService');
+
+/**
+ * AI usage ledger: one JSON line per provider call with tokens, search calls and
+ * estimated USD cost, tagged with the requestId/domain of the API request that caused it.
+ *
+ * Request context is carried with AsyncLocalStorage so provider functions deep in the
+ * call tree (research, blog discovery, article compression) don't need extra arguments.
+ */
+
+const USAGE_LEDGER_PATH = process.env.USAGE_LEDGER_PATH || path.join(process.cwd(), '.cache', 'usage-ledger.jsonl');
+
+// Estimated list prices in USD: per 1M tokens, per web search call. Override with AI_PRICING_JSON.
+const DEFAULT_MODEL_PRICING = {
+    'gpt-4o': { input: 2.5, output: 10, search: 0.025 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6, search: 0.025 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5, search: 0.035 },
+    'sonar-pro': { input: 3, output: 15, search: 0.01 },
+    'claude-sonnet-4-20250514': { input: 3, output: 15, search: 0.01 },
+    'claude-opus-4-20250514': { input: 15, output: 75, search: 0.01 },
+    local: { input: 0, output: 0, search: 0 }
+};
+
+function loadModelPricing() {
+    if (!process.env.AI_PRICING_JSON) return DEFAULT_MODEL_PRICING;
+    try {
+        return { ...DEFAULT_MODEL_PRICING, ...JSON.parse(process.env.AI_PRICING_JSON) };
+    } catch (error) {
+        console.warn(`[Usage] Ignoring invalid AI_PRICING_JSON: ${error.message}`);
+        return DEFAULT_MODEL_PRICING;
+    }
+}
+
+const MODEL_PRICING = loadModelPricing();
+const usageContext = new AsyncLocalStorage();
+
+// Spend index for budget checks: ledger entries from before this process started
+// (loaded once) plus every entry recorded since. Older than SPEND_INDEX_MAX_AGE_MS is ignored.
+const PROCESS_STARTED_AT_MS = Date.now();
+const SPEND_INDEX_MAX_AGE_MS = 90 * 86_400_000;
+const recordedEntries = [];
+let historicalEntriesPromise = null;
+
+function emptyTotals() {
+    return { calls: 0, inputTokens: 0, outputTokens: 0, searchCalls: 0, costUsd: 0 };
+}
+
+function addToTotals(totals, entry) {
+    totals.calls += 1;
+    totals.inputTokens += entry.inputTokens;
+    totals.outputTokens += entry.outputTokens;
+    totals.searchCalls += entry.searchCalls;
+    totals.costUsd = roundUsd(totals.costUsd + entry.costUsd);
+    return totals;
+}
+
+function roundUsd(value) {
+    return Math.round(value * 1_000_000) / 1_000_000;
+}
+
+// ============================================
+// CONTEXT
+// ============================================
+
+/**
+ * Tagging scope for one API request (or one item of a batch).
+ * Scopes created inside another scope roll their totals up into it.
+ * @param {{ requestId: string, operation: string, domain: string }} context
+ * @returns {{ totals: object, run: function(function): any }}
+ */
+function createUsageScope(context = {}) {
+    const parent = usageContext.getStore() || null;
+    const store = {
+        requestId: context.requestId || parent?.requestId || null,
+        operation: context.operation || parent?.operation || null,
+        domain: normalizeDomainForCache(context.domain) || parent?.domain || null,
+        totals: emptyTotals(),
+        parent
+    };
+    return {
+        totals: store.totals,
+        run: (fn) => usageContext.run(store, fn)
+    };
+}
+
+function getUsageContext() {
+    return usageContext.getStore() || null;
+}
+
+// ============================================
+// EXTRACTORS (provider-native usage -> common shape)
+// ============================================
+
+function usageFromOpenAIResponse(response) {
+    const outputs = Array.isArray(response?.output) ? response.output : [];
+    return {
+        inputTokens: response?.usage?.input_tokens || 0,
+        outputTokens: response?.usage?.output_tokens || 0,
+        searchCalls: outputs.filter((item) => item?.type === 'web_search_call').length
+    };
+}
+
+// Gemini bills Google Search grounding per grounded prompt, not per query.
+function usageFromGeminiResponse(response) {
+    const usage = response?.usageMetadata || {};
+    const grounding = response?.candidates?.[0]?.groundingMetadata;
+    return {
+        inputTokens: usage.promptTokenCount || 0,
+        outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+        searchCalls: grounding?.webSearchQueries?.length > 0 ? 1 : 0
+    };
+}
+
+// OpenAI-compatible chat completions (Perplexity, local servers)
+function usageFromChatCompletion(completion, { searchCalls = 0 } = {}) {
+    const usage = completion?.usage || {};
+    return {
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0,
+        searchCalls: usage.num_search_queries ?? searchCalls
+    };
+}
+
+function usageFromClaudeMessage(message) {
+    const usage = message?.usage || {};
+    return {
+        inputTokens: (usage.input_tokens || 0) + (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0),
+        outputTokens: usage.output_tokens || 0,
+        searchCalls: usage.server_tool_use?.web_search_requests || 0
+    };
+}
+
+// ============================================
+// LEDGER
+// ============================================
+
+function estimateCostUsd(model, { inputTokens = 0, outputTokens = 0, searchCalls = 0 }) {
+    const pricing = MODEL_PRICING[model] || null;
+    if (!pricing) return 0;
+    return roundUsd(
+        (inputTokens / 1_000_000) * pricing.input +
+        (outputTokens / 1_000_000) * pricing.output +
+        searchCalls * (pricing.search || 0)
+    );
+}
+
+/**
+ * Append one AI call to the ledger. Never throws.
+ * @param {object} call
+ * @param {string} call.provider - openai | gemini | claude | perplexity | local
+ * @param {string} call.model
+ * @param {number} call.inputTokens
+ * @param {number} call.outputTokens
+ * @param {number} call.searchCalls
+ * @param {string} [call.purpose] - e.g. research, blog_discovery, compress_article
+ */
+function recordUsage({ provider, model, inputTokens = 0, outputTokens = 0, searchCalls = 0, purpose = 'research' }) {
+    const context = getUsageContext();
+    const entry = {
+        at: new Date().toISOString(),
+        requestId: context?.requestId || null,
+        operation: context?.operation || null,
+        domain: context?.domain || null,
+        purpose,
+        provider,
+        model: model || null,
+        inputTokens,
+        outputTokens,
+        searchCalls,
+        costUsd: estimateCostUsd(provider === 'local' ? 'local' : model, { inputTokens, outputTokens, searchCalls }),
+        priced: provider === 'local' || Boolean(MODEL_PRICING[model])
+    };
+
+    for (let scope = context; scope; scope = scope.parent) {
+        addToTotals(scope.totals, entry);
+    }
+    recordedEntries.push(entry);
+    while (recordedEntries.length > 0 && Date.parse(recordedEntries[0].at) < Date.now() - SPEND_INDEX_MAX_AGE_MS) {
+        recordedEntries.shift();
+    }
+    console.log(`[Usage] ${provider}/${entry.model} ${purpose} | in=${inputTokens} out=${outputTokens} search=${searchCalls} | ~$${entry.costUsd} | requestId=${entry.requestId || 'n/a'}`);
+
+    fs.promises.mkdir(path.dirname(USAGE_LEDGER_PATH), { recursive: true })
+        .then(() => fs.promises.appendFile(USAGE_LEDGER_PATH, `${JSON.stringify(entry)}\n`))
+        .catch((error) => console.warn(`[Usage] Ledger write failed: ${error.message}`));
+    return entry;
+}
+
+async function readLedger() {
+    try {
+        const raw = await fs.promises.readFile(USAGE_LEDGER_PATH, 'utf8');
+        return raw.split('\n').filter(Boolean).map((line) => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        }).filter(Boolean);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+function loadHistoricalEntries() {
+    if (!historicalEntriesPromise) {
+        const oldestMs = PROCESS_STARTED_AT_MS - SPEND_INDEX_MAX_AGE_MS;
+        historicalEntriesPromise = readLedger()
+            .then((entries) => entries.filter((entry) => {
+                const atMs = Date.parse(entry.at);
+                return atMs < PROCESS_STARTED_AT_MS && atMs >= oldestMs;
+            }))
+            .catch((error) => {
+                console.warn(`[Usage] Could not load ledger for spend checks: ${error.message}`);
+                return [];
+            });
+    }
+    return historicalEntriesPromise;
+}
+
+/**
+ * Estimated USD spent since sinceMs, optionally for one domain.
+ */
+async function getSpendUsd({ domain = null, sinceMs = 0 } = {}) {
+    const normalizedDomain = domain ? normalizeDomainForCache(domain) : null;
+    const historical = await loadHistoricalEntries();
+    let total = 0;
+    for (const entry of [...historical, ...recordedEntries]) {
+        if (normalizedDomain && entry.domain !== normalizedDomain) continue;
+        if (Date.parse(entry.at) < sinceMs) continue;
+        total += entry.costUsd || 0;
+    }
+    return roundUsd(total);
+}
+
+/**
+ * Mean cost of recent priced calls, used to project the cost of the next call.
+ */
+async function getAverageCallCostUsd(sampleSize = 20) {
+    const historical = await loadHistoricalEntries();
+    const priced = [...historical, ...recordedEntries].filter((entry) => entry.costUsd > 0).slice(-sampleSize);
+    if (priced.length === 0) return null;
+    return roundUsd(priced.reduce((sum, entry) => sum + entry.costUsd, 0) / priced.length);
+}
+
+/**
+ * Ledger entries filtered by domain and time range, with totals.
+ * @param {object} filters
+ * @param {string} [filters.domain]
+ * @param {number} [filters.fromMs]
+ * @param {number} [filters.toMs]
+ * @param {number} [filters.limit] - Max entries returned (totals cover all matches)
+ */
+async function queryUsage({ domain = null, fromMs = null, toMs = null, limit = 200 } = {}) {
+    const normalizedDomain = domain ? normalizeDomainForCache(domain) : null;
+    const entries = (await readLedger()).filter((entry) => {
+        const atMs = Date.parse(entry.at);
+        if (normalizedDomain && entry.domain !== normalizedDomain) return false;
+        if (Number.isFinite(fromMs) && atMs < fromMs) return false;
+        if (Number.isFinite(toMs) && atMs > toMs) return false;
+        return true;
+    });
+
+    const totals = emptyTotals();
+    const byProvider = {};
+    const requests = new Map();
+    for (const entry of entries) {
+        addToTotals(totals, entry);
+        addToTotals(byProvider[entry.provider] || (byProvider[entry.provider] = emptyTotals()), entry);
+
+        // Batch requests share a requestId across domains; keep one row per client.
+        const requestKey = `${entry.requestId || 'untagged'}::${entry.domain || ''}`;
+        if (!requests.has(requestKey)) {
+            requests.set(requestKey, {
+                requestId: entry.requestId,
+                operation: entry.operation,
+                domain: entry.domain,
+                startedAt: entry.at,
+                ...emptyTotals()
+            });
+        }
+        addToTotals(requests.get(requestKey), entry);
+    }
+
+    return {
+        totals,
+        byProvider,
+        requests: [...requests.values()],
+        entries: entries.slice(-Math.max(0, limit))
+    };
+}
+
+module.exports = {
+    MODEL_PRICING,
+    createUsageScope,
+    getUsageContext,
+    usageFromOpenAIResponse,
+    usageFromGeminiResponse,
+    usageFromChatCompletion,
+    usageFromClaudeMessage,
+    estimateCostUsd,
+    recordUsage,
+    queryUsage,
+    getSpendUsd,
+    getAverageCallCostUsd
+};
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Outbound webhooks for onboarding lifecycle events.
+ *
+ * WEBHOOK_SUBSCRIPTIONS='[{"id":"crm","url":"https://...","events":["form.submitted"],"secret":"..."}]'
+ *   events: list of WEBHOOK_EVENTS or ["*"] (default); secret falls back to WEBHOOK_SECRET.
+ *
+ * Each delivery is a JSON POST { id, event, createdAt, data } signed with
+ *   X-BTA-Signature: sha256=HMAC_SHA256(secret, `${X-BTA-Timestamp}.${rawBody}`)
+ * Receivers should recompute the HMAC over the raw body and reject stale timestamps.
+ * Failed deliveries (network errors, 408/429/5xx) retry with exponential backoff in-process;
+ * every attempt is appended to WEBHOOK_LOG_PATH.
+ *
+ * Retries are timers in this process and are not persisted: a restart drops them. On SIGTERM/SIGINT
+ * the server logs each pending retry as "abandoned" (abandonPendingWebhookRetries); a hard kill
+ * leaves its last entry at "retrying".
+ */
+
+const WEBHOOK_EVENTS = [
+    'research.completed',
+    'form.created',
+    'form.opened',
+    'form.submitted',
+    'airtable.saved',
+    'notion.sync_failed',
+    'voice.interview_finished'
+];
+
+const WEBHOOK_LOG_PATH = process.env.WEBHOOK_LOG_PATH || path.join(process.cwd(), '.cache', 'webhook-deliveries.jsonl');
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5);
+const TIMEOUT_MS = Math.max(1000, Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000);
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const USER_AGENT = 'BTAOnboarding-Webhooks/1.0';
+
+function loadSubscriptions() {
+    if (!process.env.WEBHOOK_SUBSCRIPTIONS) return [];
+    let parsed;
+    try {
+        parsed = JSON.parse(process.env.WEBHOOK_SUBSCRIPTIONS);
+    } catch (error) {
+        console.warn(`[Webhook] Ignoring invalid WEBHOOK_SUBSCRIPTIONS: ${error.message}`);
+        return [];
+    }
+
+    const subscriptions = [];
+    for (const [index, entry] of (Array.isArray(parsed) ? parsed : []).entries()) {
+        const secret = entry?.secret || process.env.WEBHOOK_SECRET;
+        if (!/^https?:\/\//i.test(String(entry?.url || '')) || !secret) {
+            console.warn(`[Webhook] Ignoring subscription #${index + 1}: needs an http(s) url and a secret`);
+            continue;
+        }
+        const events = Array.isArray(entry.events) && entry.events.length > 0 ? entry.events : ['*'];
+        const unknown = events.filter((event) => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            console.warn(`[Webhook] Subscription ${entry.id || index + 1} lists unknown events: ${unknown.join(', ')}`);
+        }
+        subscriptions.push({ id: String(entry.id || `webhook-${index + 1}`), url: entry.url, events, secret });
+    }
+    return subscriptions;
+}
+
+const SUBSCRIPTIONS = loadSubscriptions();
+
+// deliveryId -> { subscription, delivery, attempt (last one made), timer } for scheduled retries
+const pendingRetries = new Map();
+
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function backoffMs(attempt) {
+    const exponential = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 4 ** (attempt - 1));
+    return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+async function appendDeliveryLog(entry) {
+    try {
+        await fs.promises.mkdir(path.dirname(WEBHOOK_LOG_PATH), { recursive: true });
+        await fs.promises.appendFile(WEBHOOK_LOG_PATH, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+        console.warn(`[Webhook] Failed to write delivery log: ${error.message}`);
+    }
+}
+
+/**
+ * POST one delivery, rescheduling itself until it succeeds, fails permanently or runs out of attempts.
+ */
+async function attemptDelivery(subscription, delivery, body, attempt) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const startedAt = Date.now();
+    let httpStatus = null;
+    let error = null;
+    try {
+        const response = await axios.post(subscription.url, body, {
+            timeout: TIMEOUT_MS,
+            maxRedirects: 0,
+            validateStatus: () => true,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': USER_AGENT,
+                'X-BTA-Event': delivery.event,
+                'X-BTA-Delivery': delivery.id,
+                'X-BTA-Timestamp': timestamp,
+                'X-BTA-Signature': signPayload(subscription.secret, timestamp, body)
+            }
+        });
+        httpStatus = response.status;
+    } catch (requestError) {
+        error = requestError.code || requestError.message;
+    }
+
+    const delivered = httpStatus !== null && httpStatus >= 200 && httpStatus < 300;
+    const retryable = !delivered && (httpStatus === null || RETRYABLE_STATUSES.has(httpStatus)) && attempt < MAX_ATTEMPTS;
+    const outcome = delivered ? 'delivered' : retryable ? 'retrying' : 'failed';
+    await appendDeliveryLog({
+        deliveryId: delivery.id,
+        subscription: subscription.id,
+        event: delivery.event,
+        url: subscription.url,
+        attempt,
+        outcome,
+        httpStatus,
+        error: error || (delivered ? null : `HTTP ${httpStatus}`),
+        durationMs: Date.now() - startedAt,
+        at: new Date().toISOString()
+    });
+
+    if (retryable) {
+        const delayMs = backoffMs(attempt);
+        console.log(`[Webhook] ${delivery.event} to ${subscription.id} failed (${error || httpStatus}), retry ${attempt}/${MAX_ATTEMPTS - 1} in ${Math.round(delayMs)}ms`);
+        const timer = setTimeout(() => {
+            pendingRetries.delete(delivery.id);
+            attemptDelivery(subscription, delivery, body, attempt + 1).catch((retryError) => {
+                console.warn(`[Webhook] Delivery ${delivery.id} crashed: ${retryError.message}`);
+            });
+        }, delayMs);
+        pendingRetries.set(delivery.id, { subscription, delivery, attempt, timer });
+    } else if (!delivered) {
+        console.warn(`[Webhook] ${delivery.event} to ${subscription.id} failed after ${attempt} attempt(s): ${error || `HTTP ${httpStatus}`}`);
+    }
+}
+
+/**
+ * Queue an event for every matching subscription. Fire-and-forget: never throws or blocks the caller.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} data - Event payload
+ * @returns {number} Number of deliveries queued
+ */
+function emitWebhook(event, data = {}) {
+    if (!WEBHOOK_EVENTS.includes(event)) {
+        console.warn(`[Webhook] Unknown event "${event}" not sent`);
+        return 0;
+    }
+    const targets = SUBSCRIPTIONS.filter((subscription) => subscription.events.includes('*') || subscription.events.includes(event));
+    for (const subscription of targets) {
+        const delivery = { id: uuidv4(), event, createdAt: new Date().toISOString(), data };
+        const body = JSON.stringify(delivery);
+        attemptDelivery(subscription, delivery, body, 1).catch((error) => {
+            console.warn(`[Webhook] Delivery ${delivery.id} crashed: ${error.message}`);
+        });
+    }
+    return targets.length;
+}
+
+/**
+ * Cancel every scheduled retry and log it as "abandoned". Writes synchronously so it can run
+ * from a signal handler right before the process exits.
+ * @param {string} [reason]
+ * @returns {number} Number of retries abandoned
+ */
+function abandonPendingWebhookRetries(reason = 'shutdown') {
+    if (pendingRetries.size === 0) return 0;
+    const lines = [];
+    for (const { subscription, delivery, attempt, timer } of pendingRetries.values()) {
+        clearTimeout(timer);
+        lines.push(JSON.stringify({
+            deliveryId: delivery.id,
+            subscription: subscription.id,
+            event: delivery.event,
+            url: subscription.url,
+            attempt,
+            outcome: 'abandoned',
+            httpStatus: null,
+            error: `Retry not sent: ${reason}`,
+            durationMs: 0,
+            at: new Date().toISOString()
+        }));
+    }
+    const count = pendingRetries.size;
+    pendingRetries.clear();
+    try {
+        fs.mkdirSync(path.dirname(WEBHOOK_LOG_PATH), { recursive: true });
+        fs.appendFileSync(WEBHOOK_LOG_PATH, `${lines.join('\n')}\n`);
+    } catch (error) {
+        console.warn(`[Webhook] Failed to write delivery log: ${error.message}`);
+    }
+    console.warn(`[Webhook] Abandoned ${count} pending retr${count === 1 ? 'y' : 'ies'} (${reason})`);
+    return count;
+}
+
+/**
+ * Delivery log entries, newest first.
+ * @param {object} [filters]
+ * @param {string} [filters.event]
+ * @param {string} [filters.outcome] - delivered | retrying | failed | abandoned
+ * @param {number} [filters.limit]
+ */
+async function queryWebhookDeliveries({ event = null, outcome = null, limit = 100 } = {}) {
+    let raw = '';
+    try {
+        raw = await fs.promises.readFile(WEBHOOK_LOG_PATH, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const entries = [];
+    const lines = raw.split('\n');
+    for (let i = lines.length - 1; i >= 0 && entries.length < limit; i -= 1) {
+        if (!lines[i].trim()) continue;
+        try {
+            const entry = JSON.parse(lines[i]);
+            if (event && entry.event !== event) continue;
+            if (outcome && entry.outcome !== outcome) continue;
+            entries.push(entry);
+        } catch {
+            // Truncated line from an interrupted write
+        }
+    }
+    return entries;
+}
+
+// Subscriptions without their secrets
+function describeWebhookSubscriptions() {
+    return SUBSCRIPTIONS.map(({ id, url, events }) => ({ id, url, events }));
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    emitWebhook,
+    signPayload,
+    queryWebhookDeliveries,
+    abandonPendingWebhookRetries,
+    describeWebhookSubscriptions
+};